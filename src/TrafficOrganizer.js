@@ -2,19 +2,59 @@
  * Copyright (C) 2010				Mike Sukmanowski (mike.sukmanowsky@oddinteractive.com)
 */
 
-/* Cookie Format
-	- m=[medium]|s=[source]|k=[keyword]|kg=[keywordGroup]|c=[Content]|cp=[Campaign Name]|r=[Full referrer]|rp=[Referring Path]
+/* Cookie Format (v2, each value encoded with encodeURIComponent, keeping / and :, spaces as +, "*" as %2A and then "%" replaced by "*")
+	- v2|m=[medium]|s=[source]|k=[keyword]|kg=[keywordGroup]|c=[Content]|cp=[Campaign Name]|r=[Full referrer]|rp=[Referring Path]|ci=[Click ID]|cip=[Click ID Parameter]
+	  |rh=[Referring Hostname]|rq=[Referring Query]|lp=[Landing Path]|lq=[Landing Query]|t=[Classification timestamp]
+
+/* History Cookie Format (v2, one entry per touchpoint, oldest first, entries separated by ^)
+	- v2^m=[medium]|s=[source]|cp=[Campaign Name]|k=[keyword]|t=[timestamp]^m=[medium]|...
+	- Cookies without the version marker are read as v1 (values encoded with encodeURIComponent, first "|" as ~!~) and
+	  written as v2 the next time they are saved.  Cookies which cannot be read are treated as absent.
+
+/* Linker Parameter Format (_tsmx, URI-encoded in the query string)
+	- the session cookie with the time the link was decorated: v2|m=[medium]|s=[source]|...|lt=[timestamp]
+	
+/* Module Format
+	- UMD: exported through CommonJS (module.exports) when available, otherwise assigned to the global TrafficOrganizer and,
+	  with an AMD loader, also defined as the named module "TrafficOrganizer"
 	
 /* Formatting parameters
-	%r - full referrer 		(http://www.somesite.com/path/to/page.html)
+	%r - full referrer 		(http://www.somesite.com/path/to/page.html, only on the page where the traffic source is classified)
 	%rd - referring domain 	(somesite.com)
 	%rp - referring path	(/path/to/page.html)
+	%rh - referring hostname	(www.somesite.com)
+	%rrd - referring registrable domain	(somesite.com)
+	%rsd - referring subdomain	(www)
+	%rq - referring query string	(a=1&b=2)
+	%lp - landing path		(/landing/page.html)
+	%lq - landing query string	(utm_source=x&utm_medium=y)
 	%m - medium
 	%s - source
 	%k - keyword
 	%kg - keywordGroup
 	%c - content
 	%cp - campaign name
+	%q{param} - value of a landing page query string parameter	(%q{utm_id})
+	%rq{param} - value of a referrer query string parameter	(%rq{q})
+	%d{format} - classification date, format may contain yyyy, yy, mm, dd, hh, mi and ss, blank if unclassified	(%d{yyyy-mm-dd})
+*/
+
+(function(root, factory) {
+	var TrafficOrganizer = factory();
+	
+	if (typeof(module) == "object" && module.exports) {
+		module.exports = TrafficOrganizer;
+	} else {
+		// Always assigned in browsers so that a plain <script> include keeps working on pages using an AMD loader.  The
+		// module is named, as an anonymous define() from a plain <script> include is rejected by RequireJS.
+		root.TrafficOrganizer = TrafficOrganizer;
+		if (typeof(define) == "function" && define.amd) {
+			define("TrafficOrganizer", [], function() {
+				return TrafficOrganizer;
+			});
+		}
+	}
+})(this, function() {
 
 /**
  * Generates the TrafficOrganizer object with default configuration.
@@ -35,16 +75,45 @@
  *   <li>referring path</li>
  * </ul>
  * For ease of use, traffic source manager also makes the full referrer and referring domain available.
+ * <p>
+ * Every setting can also be supplied in a single configuration object, either to the constructor or later through
+ * {@link TrafficOrganizer#loadConfig}.  {@link TrafficOrganizer#getConfig} returns the current settings in the same form.
+ * <p>
+ * Outside of a browser page (e.g. in Node), pass <code>null</code> instead of the <code>s</code> object and describe the visit
+ * with an environment object (see {@link TrafficOrganizer#setEnvironment}).
+ * @param {Object} omniObject the Omniture SiteCatalyst <code>s</code> object, or <code>null</code> if Omniture is not in use.
+ * @param {Object} [config] an optional configuration object (see {@link TrafficOrganizer#loadConfig}).
+ * @param {Object} [environment] an optional environment object (see {@link TrafficOrganizer#setEnvironment}).
  * @author Mike Sukmanowsky
  * @version 1.0
  */
-TrafficOrganizer = function(omniObject) {
+var TrafficOrganizer = function(omniObject, config, environment) {
 	
 	TrafficOrganizer.VERSION = "1.0";
 	
 	var s;
 	var cookieTimeout;
 	var cookieName;
+	var cookieMaxBytes;
+	var cookieDomain;
+	var linkerParameter;
+	var linkerDomains;
+	var linkerTimeout;
+	var fieldMaxLengths;
+	var truncationOrder;
+	var truncatedFields;
+	var historyCookieTimeout;
+	var historyCookieName;
+	var historyCookieMaxBytes;
+	var maxTouchpoints;
+	var touchpoints;
+	
+	var attributionModel;
+	var attributionLookback;
+	var attributedMedium;
+	var attributedSource;
+	var attributedCampaign;
+	var attributedKeyword;
 	
 	var searchEngineList;
 	
@@ -53,11 +122,21 @@ TrafficOrganizer = function(omniObject) {
 	var ignoredReferrers;
 	var ignoredSearchKeywords;
 	var paidSearchParameters;
+	var clickIdList;
+	var socialNetworkList;
+	var webmailProviderList;
+	var ignoredProviderList;
+	var autoIgnoreSubdomains;
+	var classificationRules;
 	
 	var directMediumName;
 	var referralMediumName;
 	var organicMediumName;
 	var ppcMediumName;
+	var displayMediumName;
+	var paidSocialMediumName;
+	var socialMediumName;
+	var emailMediumName;
 	
 	var mediumKey;
 	var medium;
@@ -69,13 +148,47 @@ TrafficOrganizer = function(omniObject) {
 	var campaign;
 	var keywordKey;
 	var keyword;
+	var trackingCodeKey;
+	var caseInsensitiveKeys;
+	var keysFromFragment;
 	var keywordGroup;
+	var notProvidedKeyword;
 	var referrer;
+	var landingURI;
+	var landingPath;
+	var landingQuery;
+	var classificationTime;
+	var combinedTemplate;
+	
+	var hooks;
+	
+	var debug;
+	var debugConsole;
+	var diagnostics;
 	var referringDomain;
 	var referringPath;
+	var referringHostname;
+	var referringQuery;
+	var clickId;
+	var clickIdParameter;
 		
 	var firstPageOnly;
+	var mediumPriorities;
+	var protectTaggedCampaigns;
+	var minOverwriteTime;
+	var visitTime = 0;
+	var overwriteForced = false;
+	
+	var storage;
+	var storageType;
+	var storageOptions;
+	var env = {};
 	
+	var outputMapping;
+	var successEvent;
+	
+	var unknownConfigKeys = new Array();
+	var cookieFormatVersion = "v2";
 	
 	/**
 	* Returns the current setting for how traffic source manager will behave after an initial call to 
@@ -97,6 +210,61 @@ TrafficOrganizer = function(omniObject) {
 		firstPageOnly = newFirstPageOnly;
 	}
 	
+	/**
+	* Sets the precedence of mediums within a session.  When a visit would overwrite the session, the new traffic source is only
+	* recorded if its medium ranks at least as high as the medium of the session; otherwise the session continues.  Mediums which
+	* are not listed rank below all listed mediums.  By default the list is empty and every new traffic source is recorded.  The
+	* ranks are not compared for tagged links (medium and source parameters, or a tracking code, see
+	* {@link TrafficOrganizer#setTrackingCodeKey}), whose mediums are free-form, nor when an <code>onBeforeOverwrite</code> callback
+	* returns <code>true</code> (see {@link TrafficOrganizer#addHook}).
+	* @param {Array} newMediumPriorities medium names, highest priority first (e.g. <code>["Search Engine: Paid", "Email",
+	* "Search Engine: Organic", "Referrer: Organic"]</code>).
+	*/
+	this.setMediumPriorities = function(newMediumPriorities) {
+		mediumPriorities = newMediumPriorities.slice(0);
+	}
+	
+	/**
+	* Returns the precedence of mediums within a session.
+	* @returns {Array} medium names, highest priority first.
+	*/
+	this.getMediumPriorities = function() {
+		return mediumPriorities.slice(0);
+	}
+	
+	/**
+	* Indicates whether a session with a campaign (from a tagged link or tracking code) may only be overwritten by another tagged
+	* link or tracking code, rather than by any new referrer or click ID.
+	* @param {boolean} newProtectTaggedCampaigns <code>true</code> to protect campaigns (default is <code>false</code>).
+	*/
+	this.setProtectTaggedCampaigns = function(newProtectTaggedCampaigns) {
+		protectTaggedCampaigns = newProtectTaggedCampaigns;
+	}
+	
+	/**
+	* Returns whether a session with a campaign may only be overwritten by another tagged link or tracking code.
+	* @returns {boolean} <code>true</code> if campaigns are protected.
+	*/
+	this.getProtectTaggedCampaigns = function() {
+		return protectTaggedCampaigns;
+	}
+	
+	/**
+	* Sets the minimum time between classifying a traffic source and overwriting it with a new one within a session.
+	* @param {int} newMinOverwriteTime the minimum time measured in milliseconds (default is 0, i.e. no minimum).
+	*/
+	this.setMinOverwriteTime = function(newMinOverwriteTime) {
+		minOverwriteTime = newMinOverwriteTime;
+	}
+	
+	/**
+	* Returns the minimum time between classifying a traffic source and overwriting it with a new one within a session.
+	* @returns {int} the minimum time measured in milliseconds.
+	*/
+	this.getMinOverwriteTime = function() {
+		return minOverwriteTime;
+	}
+	
 	/**
 	* Adds a query string parameter to be interpreted as PPC by any search engine.
 	* @param {String} newPaidSearchParameter The query string variable which will be visible on all landing pages from a PPC campaign.
@@ -112,15 +280,47 @@ TrafficOrganizer = function(omniObject) {
 		paidSearchParmaeters = new Array();
 	}
 	
+	/**
+	* Adds an advertising click ID query string parameter (e.g. "gclid") to the list of click IDs recognized on the landing page.
+	* When a click ID is present and the link is not tagged with medium and source parameters, the traffic is classified with the
+	* medium and source of the click ID.  The click ID itself is always captured (see {@link TrafficOrganizer#getClickId}).
+	* @param {String} newClickIdParameter the query string variable holding the click ID.
+	* @param {String} newClickIdSource the source to report (e.g. "Google").
+	* @param {String} newClickIdMedium either <code>"search"</code>, <code>"display"</code> or <code>"social"</code> to use the paid search,
+	* paid display or paid social medium names respectively, or any other value to be used as the medium as is.
+	*/
+	this.addClickIdParameter = function(newClickIdParameter, newClickIdSource, newClickIdMedium) {
+		clickIdList.push([newClickIdParameter, newClickIdSource, newClickIdMedium]);
+	}
+	
+	/**
+	* Clears the list of advertising click ID parameters, including the built-in ones (gclid, msclkid, fbclid, etc.).
+	*/
+	this.clearClickIdParameters = function() {
+		clickIdList = new Array();
+	}
+	
 	/**
 	* Adds a user-defined search engine to the default search engine list.
+	* <p>
+	* By default (<code>"substring"</code> matching) the domain is matched against any portion of the referring domain, which is how
+	* search engines have always been added.  With <code>"host"</code> matching, the domain is instead a comma-separated list of host
+	* patterns, each of which can be:
+	* <ul>
+	*   <li>a host, matching the host itself and any of its subdomains (e.g. "bing.com" matches "bing.com" and "cn.bing.com")</li>
+	*   <li>a host prefixed with "*." which behaves the same way (e.g. "*.bing.com")</li>
+	*   <li>a name followed by ".*", matching the name under any top-level or country code domain (e.g. "google.*" matches
+	*   "google.com", "google.de", "google.co.uk" and "www.google.com.au")</li>
+	* </ul>
 	* @param {String} newSearchEngineDomain the top-level-domain of the new search engine (e.g. "google.com").  This value does not
 	* have to correspond precisely to a domain and can instead contain a portion of the domain if there are many exceptions (e.g. "google").
-	* @param {String} newSearchEngineKeywordKey the query string variable where the search engine populates the search term.
+	* @param {String,Array} newSearchEngineKeywordKey the query string variable where the search engine populates the search term.  Several
+	* variables can be given as an array or a comma-separated list (e.g. "query,encquery"), in which case the first one with a value is used.
 	* @param {String} newSearchEngineName the name of the search engine which will appear in reporting.
+	* @param {String} [matchMode] either <code>"substring"</code> (default) or <code>"host"</code>.
 	*/
-	this.addSearchEngine = function(newSearchEngineDomain, newSearchEngineKeywordKey, newSearchEngineName) {
-		searchEngineList.push([newSearchEngineDomain, newSearchEngineKeywordKey, newSearchEngineName]);
+	this.addSearchEngine = function(newSearchEngineDomain, newSearchEngineKeywordKey, newSearchEngineName, matchMode) {
+		searchEngineList.push([newSearchEngineDomain, newSearchEngineKeywordKey, newSearchEngineName, matchMode || "substring"]);
 	}
 	
 	/**
@@ -140,6 +340,118 @@ TrafficOrganizer = function(omniObject) {
 		referringSiteGroups = new Array();	
 	}
 	
+	/**
+	* Adds a social network to the social network list, or replaces the source name of a social network already in the list.
+	* Referrers from the domain or any of its subdomains are classified with the social medium (see {@link TrafficOrganizer#setSocialMediumName})
+	* unless they belong to a referrer group.
+	* @param {String} newSocialNetworkDomain the domain of the social network (e.g. "facebook.com").
+	* @param {String} newSocialNetworkName the name of the social network which will appear in reporting.
+	*/
+	this.addSocialNetwork = function(newSocialNetworkDomain, newSocialNetworkName) {
+		for (var i = 0; i < socialNetworkList.length; i++) {
+			if (socialNetworkList[i][0] == newSocialNetworkDomain) {
+				socialNetworkList[i][1] = newSocialNetworkName;
+				return;
+			}
+		}
+		socialNetworkList.push([newSocialNetworkDomain, newSocialNetworkName]);
+	}
+	
+	/**
+	* Clears the list of social networks, including the built-in ones.
+	*/
+	this.clearSocialNetworks = function() {
+		socialNetworkList = new Array();
+	}
+	
+	/**
+	* Adds a webmail provider to the webmail provider list, or replaces the source name of a provider already in the list.
+	* Referrers from the domain or any of its subdomains are classified with the email medium (see {@link TrafficOrganizer#setEmailMediumName}).
+	* Webmail providers are checked before search engines so that e.g. "mail.google.com" is not mistaken for Google search.
+	* @param {String} newWebmailDomain the domain of the webmail provider (e.g. "mail.google.com").
+	* @param {String} newWebmailName the name of the webmail provider which will appear in reporting.
+	*/
+	this.addWebmailProvider = function(newWebmailDomain, newWebmailName) {
+		for (var i = 0; i < webmailProviderList.length; i++) {
+			if (webmailProviderList[i][0] == newWebmailDomain) {
+				webmailProviderList[i][1] = newWebmailName;
+				return;
+			}
+		}
+		webmailProviderList.push([newWebmailDomain, newWebmailName]);
+	}
+	
+	/**
+	* Clears the list of webmail providers, including the built-in ones.
+	*/
+	this.clearWebmailProviders = function() {
+		webmailProviderList = new Array();
+	}
+	
+	/**
+	* Adds a custom classification rule.  Rules are evaluated after the built-in classification, in order of ascending
+	* <code>priority</code> (rules with the same priority are evaluated in the order they were added), and the first rule whose
+	* conditions all match applies its actions.  A rule is an object such as:
+	* <pre>
+	* {
+	*   priority: 10,
+	*   conditions: {referrerHost: "", landingPath: "/lp/partner/*"},
+	*   actions: {medium: "Affiliate", source: "%s", campaign: "Partner Landing Pages"}
+	* }
+	* </pre>
+	* The available conditions are <code>referrerHost</code>, <code>referrerPath</code>, <code>referrerQuery</code>,
+	* <code>landingPath</code> and <code>landingQuery</code> (matched against the referrer and landing page URIs),
+	* <code>referrerParams</code> and <code>landingParams</code> (objects mapping a query string parameter to a pattern) as well as
+	* <code>medium</code>, <code>source</code>, <code>campaign</code>, <code>content</code>, <code>keyword</code> and
+	* <code>keywordGroup</code> (matched against the values classified so far).  Each pattern is either a {@link RegExp} or a
+	* {@link String} which must match the whole value (case-insensitive) and may contain "*" as a wildcard; a blank pattern
+	* (i.e. "") only matches a blank value.
+	* <p>
+	* The available actions are <code>medium</code>, <code>source</code>, <code>campaign</code>, <code>content</code>,
+	* <code>keyword</code> and <code>keywordGroup</code>.  Each action is a format string (e.g. "%rd") evaluated against the values
+	* classified before the rule was applied.
+	* @param {Object} newRule the rule to add.
+	*/
+	this.addRule = function(newRule) {
+		var rule = {priority: newRule.priority || 0, conditions: {}, actions: {}};
+		var conditions = newRule.conditions || {};
+		var actions = newRule.actions || {};
+		var key;
+		
+		for (key in conditions) {
+			if (!conditions.hasOwnProperty(key)) continue;
+			if (key == "referrerParams" || key == "landingParams") {
+				rule.conditions[key] = {};
+				for (var param in conditions[key]) {
+					if (conditions[key].hasOwnProperty(param)) {
+						rule.conditions[key][param] = parsePattern(conditions[key][param]);
+					}
+				}
+			} else {
+				rule.conditions[key] = parsePattern(conditions[key]);
+			}
+		}
+		for (key in actions) {
+			if (actions.hasOwnProperty(key)) {
+				rule.actions[key] = actions[key];
+			}
+		}
+		
+		// Keep the list sorted by priority, after any existing rules of the same priority
+		var i = classificationRules.length;
+		while (i > 0 && classificationRules[i - 1].priority > rule.priority) {
+			i--;
+		}
+		classificationRules.splice(i, 0, rule);
+	}
+	
+	/**
+	* Clears all custom classification rules.
+	*/
+	this.clearRules = function() {
+		classificationRules = new Array();
+	}
+	
 	/**
 	* Used to classify a group of search keywords (organic or paid).
 	* @param {String} keywordList a comma-separated list of keywords that belong in this group.
@@ -158,8 +470,10 @@ TrafficOrganizer = function(omniObject) {
 	
 	/** 
 	* Adds an referring domain to be treated as "direct" traffic.  Domains added to this list will also cause the TrafficOrganizer
-	* to avoid overwriting the session cookie.
-	* @param {String,RegExp} referrerToIgnore can either be a {@link String} or a {@link RegExp}
+	* to avoid overwriting the session cookie.  By default the current domain and common payment and authentication providers
+	* (e.g. PayPal, Stripe, Google and Microsoft sign-in) are ignored.
+	* @param {String,RegExp} referrerToIgnore can either be a {@link String}, which matches the referring domain exactly (e.g.
+	* "example.com") or, when it starts with "*.", the domain and all of its subdomains (e.g. "*.example.com"), or a {@link RegExp}
 	*/
 	this.addIgnoredReferrer = function(referrerToIgnore) {
 		ignoredReferrers.push(referrerToIgnore);
@@ -172,6 +486,23 @@ TrafficOrganizer = function(omniObject) {
 		ignoredReferrers = new Array();
 	}
 	
+	/**
+	* Indicates whether referrals from any subdomain of the current site's registrable domain (e.g. shop.example.com when the
+	* current page is on www.example.com) are treated as ignored referrers.
+	* @param {boolean} newAutoIgnoreSubdomains <code>true</code> to ignore all subdomains (default is <code>false</code>).
+	*/
+	this.setAutoIgnoreSubdomains = function(newAutoIgnoreSubdomains) {
+		autoIgnoreSubdomains = newAutoIgnoreSubdomains;
+	}
+	
+	/**
+	* Returns whether referrals from any subdomain of the current site's registrable domain are treated as ignored referrers.
+	* @returns {boolean} <code>true</code> if all subdomains are ignored.
+	*/
+	this.getAutoIgnoreSubdomains = function() {
+		return autoIgnoreSubdomains;
+	}
+	
 	/**
 	* Adds an organic search keyword to be treated as though it were direct traffic.
 	* @param {String,RegExp} keywordToIgnore can be either a {@link String} or a {@link RegExp}.
@@ -258,6 +589,53 @@ TrafficOrganizer = function(omniObject) {
 		return referrer;	
 	}*/
 	
+	/**
+	* Returns the landing page (path and query string) of the visit once {@link TrafficOrganizer#track} is called.  The landing
+	* page is captured whenever a new traffic source is recorded.  Calling prior to {@link TrafficOrganizer#track} will return a
+	* blank value (i.e. "").
+	* @returns {String} the landing page (e.g. "/landing/page.html?utm_source=x").
+	*/
+	this.getLandingPage = function() {
+		return landingPath + (landingQuery ? "?" + landingQuery : "");
+	}
+	
+	/**
+	* Returns the path of the landing page once {@link TrafficOrganizer#track} is called.  Calling prior to
+	* {@link TrafficOrganizer#track} will return a blank value (i.e. "").
+	* @returns {String} the landing path (e.g. "/landing/page.html").
+	*/
+	this.getLandingPath = function() {
+		return landingPath;
+	}
+	
+	/**
+	* Returns the query string of the landing page (without the leading "?") once {@link TrafficOrganizer#track} is called.
+	* Calling prior to {@link TrafficOrganizer#track} will return a blank value (i.e. "").
+	* @returns {String} the landing query string.
+	*/
+	this.getLandingQuery = function() {
+		return landingQuery;
+	}
+	
+	/**
+	* Returns the advertising click ID (e.g. the value of gclid) once {@link TrafficOrganizer#track} is called.  Useful for offline
+	* conversion uploads.  Calling prior to {@link TrafficOrganizer#track} or when no click ID was present will return a blank value (i.e. "").
+	* @returns {String} the click ID.
+	* @see TrafficOrganizer#addClickIdParameter
+	*/
+	this.getClickId = function() {
+		return clickId;
+	}
+	
+	/**
+	* Returns the query string parameter the click ID was found in (e.g. "gclid") once {@link TrafficOrganizer#track} is called.
+	* Calling prior to {@link TrafficOrganizer#track} or when no click ID was present will return a blank value (i.e. "").
+	* @returns {String} the click ID parameter.
+	*/
+	this.getClickIdParameter = function() {
+		return clickIdParameter;
+	}
+	
 	/**
 	* Returns the referring domain once {@link TrafficOrganizer#track} is called.  Calling prior to {@link TrafficOrganizer#track}
 	* will return a blank value (i.e. "").
@@ -267,48 +645,276 @@ TrafficOrganizer = function(omniObject) {
 		return referringDomain;	
 	}
 	
+	/**
+	* Returns the full hostname of the referrer (including any "www." prefix, but without the port) once {@link TrafficOrganizer#track}
+	* is called.  Calling prior to {@link TrafficOrganizer#track} will return a blank value (i.e. "").
+	* @returns {String} the referring hostname (e.g. "www.somesite.co.uk").
+	*/
+	this.getReferringHostname = function() {
+		return referringHostname;
+	}
+	
+	/**
+	* Returns the registrable domain of the referrer once {@link TrafficOrganizer#track} is called.  Calling prior to
+	* {@link TrafficOrganizer#track} will return a blank value (i.e. "").
+	* @returns {String} the referring registrable domain (e.g. "somesite.co.uk" for "news.somesite.co.uk").
+	*/
+	this.getReferringRegistrableDomain = function() {
+		return getRegistrableDomain(referringHostname);
+	}
+	
+	/**
+	* Returns the subdomain part of the referring hostname once {@link TrafficOrganizer#track} is called.  Calling prior to
+	* {@link TrafficOrganizer#track} will return a blank value (i.e. "").
+	* @returns {String} the referring subdomain (e.g. "news" for "news.somesite.co.uk").
+	*/
+	this.getReferringSubdomain = function() {
+		return getSubdomain(referringHostname);
+	}
+	
+	/**
+	* Returns the query string of the referrer (without the leading "?") once {@link TrafficOrganizer#track} is called.  Calling prior
+	* to {@link TrafficOrganizer#track} will return a blank value (i.e. "").
+	* @returns {String} the referring query string.
+	*/
+	this.getReferringQuery = function() {
+		return referringQuery;
+	}
+	
+	/**
+	* Sets the keyword reported when a recognized search engine referred the visit without a keyword (e.g. secure search).
+	* Such keywords are neither ignored nor grouped.
+	* @param {String} newNotProvidedKeyword the keyword to report (default is "(not provided)"), or a blank value (i.e. "") to leave the keyword blank.
+	*/
+	this.setNotProvidedKeyword = function(newNotProvidedKeyword) {
+		notProvidedKeyword = newNotProvidedKeyword;
+	}
+	
+	/**
+	* Returns the keyword reported when a recognized search engine referred the visit without a keyword.
+	* @returns {String} the "not provided" keyword.
+	*/
+	this.getNotProvidedKeyword = function() {
+		return notProvidedKeyword;
+	}
+	
+	/**
+	* Registers a callback which {@link TrafficOrganizer#track} calls at a specific point, so that site-specific logic can be plugged
+	* in without modifying the TrafficOrganizer.  Every callback is called with the TrafficOrganizer as <code>this</code>, and
+	* callbacks registered for the same point are called in the order they were added.  Errors thrown by a callback are ignored,
+	* apart from being recorded in the diagnostics (see {@link TrafficOrganizer#setDebug}).
+	* The available points are:
+	* <ul>
+	*   <li><code>"onBeforeClassify"</code> - called before a new traffic source is classified with an object containing the
+	*   <code>referrer</code> and <code>landingUrl</code>.</li>
+	*   <li><code>"onClassified"</code> - called after a new traffic source is classified with an object containing the classified
+	*   values (<code>medium</code>, <code>source</code>, <code>campaign</code>, <code>content</code>, <code>keyword</code>,
+	*   <code>keywordGroup</code>, ...).  The callback may change these values, or return <code>false</code> to veto the new
+	*   traffic source, in which case the existing session (if any) is kept.</li>
+	*   <li><code>"onBeforeOverwrite"</code> - called when a session cookie exists with an object containing <code>overwrite</code>
+	*   (whether the session is about to be replaced by a new traffic source) and <code>previous</code> (the stored values).  The
+	*   callback may return <code>true</code> or <code>false</code> to replace the decision; <code>true</code> also bypasses the
+	*   medium priorities (see {@link TrafficOrganizer#setMediumPriorities}).</li>
+	*   <li><code>"onRestored"</code> - called when the values are restored from the session cookie with an object containing the
+	*   restored values, which the callback may change.</li>
+	* </ul>
+	* @param {String} hookName the point at which the callback is called.
+	* @param {Function} callback the callback.
+	* @returns {boolean} <code>true</code> if the callback was registered, <code>false</code> if the hook name is unknown.
+	*/
+	this.addHook = function(hookName, callback) {
+		if (!hooks.hasOwnProperty(hookName)) {
+			return false;
+		}
+		hooks[hookName].push(callback);
+		return true;
+	}
+	
+	/**
+	* Removes the callbacks registered for a hook, or for every hook if no hook name is given.
+	* @param {String} [hookName] the hook to clear.
+	*/
+	this.clearHooks = function(hookName) {
+		for (var name in hooks) {
+			if (hooks.hasOwnProperty(name) && (!hookName || name == hookName)) {
+				hooks[name] = new Array();
+			}
+		}
+	}
+	
+	/**
+	* Turns debug mode on or off.  In debug mode, {@link TrafficOrganizer#track} records a trace of every decision it makes (which
+	* inputs were read, which engine, group, rule or ignore entry matched and whether the session cookie was overwritten and why)
+	* which can be retrieved with {@link TrafficOrganizer#getDiagnostics}.
+	* @param {boolean} newDebug <code>true</code> to record a decision trace (default is <code>false</code>).
+	* @param {boolean} [logToConsole] <code>true</code> to also write each entry of the trace to the browser console.
+	*/
+	this.setDebug = function(newDebug, logToConsole) {
+		debug = newDebug;
+		debugConsole = logToConsole ? true : false;
+	}
+	
+	/**
+	* Returns whether debug mode is on.
+	* @returns {boolean} <code>true</code> if debug mode is on, <code>false</code> otherwise.
+	*/
+	this.getDebug = function() {
+		return debug;
+	}
+	
+	/**
+	* Returns the decision trace recorded by the most recent call to {@link TrafficOrganizer#track} in debug mode.  Each entry is an
+	* object with a <code>step</code> (e.g. "input", "overwrite", "searchEngine", "rule") and a human readable <code>message</code>.
+	* @returns {Array} the decision trace, empty unless debug mode is on.
+	* @see TrafficOrganizer#setDebug
+	*/
+	this.getDiagnostics = function() {
+		var result = new Array();
+		for (var i = 0; i < diagnostics.length; i++) {
+			result.push({step: diagnostics[i].step, message: diagnostics[i].message});
+		}
+		return result;
+	}
+	
+	/**
+	* Sets the template used by {@link TrafficOrganizer#getFormatted} when no template is given, e.g. "%m > %s > %k".  The combined
+	* output can also be assigned to an Omniture variable through {@link TrafficOrganizer#setOutputMapping} using the
+	* <code>combined</code> output value.
+	* @param {String} newCombinedTemplate the new template (default is "%m > %s > %k").
+	*/
+	this.setCombinedTemplate = function(newCombinedTemplate) {
+		combinedTemplate = newCombinedTemplate;
+	}
+	
+	/**
+	* Returns the template used for the combined output.
+	* @returns {String} the combined output template.
+	*/
+	this.getCombinedTemplate = function() {
+		return combinedTemplate;
+	}
+	
+	/**
+	* Formats a template with the current output values once {@link TrafficOrganizer#track} is called.  The template may contain any
+	* of the formatting parameters also supported by referrer group sources and rule actions:
+	* <ul>
+	*   <li><code>%m</code>, <code>%s</code>, <code>%k</code>, <code>%kg</code>, <code>%c</code>, <code>%cp</code> - medium, source, keyword, keyword group, content and campaign</li>
+	*   <li><code>%rd</code>, <code>%rp</code>, <code>%rh</code>, <code>%rrd</code>, <code>%rsd</code>, <code>%rq</code> - referring domain, path, hostname, registrable domain, subdomain and query string</li>
+	*   <li><code>%r</code> - the full referrer (only on the page where the traffic source is classified)</li>
+	*   <li><code>%lp</code>, <code>%lq</code> - landing path and query string</li>
+	*   <li><code>%q{param}</code>, <code>%rq{param}</code> - the value of a landing page or referrer query string parameter</li>
+	*   <li><code>%d{format}</code> - the date the traffic source was classified, where format may contain yyyy, yy, mm, dd, hh, mi and ss
+	*   (blank if no traffic source was classified)</li>
+	* </ul>
+	* @param {String} [template] the template to format (defaults to the combined output template).
+	* @returns {String} the formatted value.
+	* @see TrafficOrganizer#setCombinedTemplate
+	*/
+	this.getFormatted = function(template) {
+		return formatString(template === undefined ? combinedTemplate : template);
+	}
+	
 	/**
 	* Sets the query string parameter that {@link TrafficOrganizer#track} will use to populate the medium if present.
-	* @param {String} newMediumKey the name of the new query string parameter to use (default is utm_medium).
+	* @param {String,Array} newMediumKey the name of the new query string parameter to use (default is utm_medium), or an ordered
+	* list of names where the first one with a value wins.
 	*/
 	this.setMediumKeyName = function(newMediumKey) {
-		mediumKey = newMediumKey;
+		mediumKey = copyKeys(newMediumKey);
 	}
 	
 	/**
 	* Sets the query string parameter that {@link TrafficOrganizer#track} will use to populate the source if present.
-	* @param {String} newSourceKey the name of the new query string parameter to use (default is utm_source).
+	* @param {String,Array} newSourceKey the name of the new query string parameter to use (default is utm_source), or an ordered
+	* list of names where the first one with a value wins.
 	*/	
 	this.setSourceKey = function(newSourceKey) {
-		sourceKey = newSourceKey;
+		sourceKey = copyKeys(newSourceKey);
 	}
 	
 	/**
 	* Sets the query string parameter that {@link TrafficOrganizer#track} will use to populate the content if present.
-	* @param {String} newContentKey the name of the new query string parameter to use (default is utm_content).
+	* @param {String,Array} newContentKey the name of the new query string parameter to use (default is utm_content), or an ordered
+	* list of names where the first one with a value wins.
 	*/
 	this.setContentKey = function(newContentKey) {
-		contentKey = newContentKey;	
+		contentKey = copyKeys(newContentKey);	
 	}
 	
 	/**
 	* Sets the query string parameter that {@link TrafficOrganizer#track} will use to populate the keyword if present.
-	* @param {String} newKeywordKey the name of the new query string parameter to use (default is utm_term).
+	* @param {String,Array} newKeywordKey the name of the new query string parameter to use (default is utm_term), or an ordered
+	* list of names where the first one with a value wins.
 	*/
 	this.setKeywordKey = function(newKeywordKey) {
-		keywordKey = newKeywordKey;
+		keywordKey = copyKeys(newKeywordKey);
 	}
 	
 	/**
-	* Sets the query string parameter that {@link TrafficOrganizer#track} will use to populate the keyword if present.
-	* @param {String} newKeywordKey the name of the new query string parameter to use (default is utm_term).
+	* Sets the query string parameter that {@link TrafficOrganizer#track} will use to populate the campaign if present.
+	* @param {String,Array} newCampaignKey the name of the new query string parameter to use (default is utm_campaign), or an ordered
+	* list of names where the first one with a value wins.
 	*/
 	this.setCampaignKey = function(newCampaignKey) {
-		campaignKey = newCampaignKey;
+		campaignKey = copyKeys(newCampaignKey);
+	}
+	
+	/**
+	* Sets the query string parameters holding a tracking code (e.g. Omniture's cid), which is used as the campaign whenever the
+	* campaign parameter is absent, even if the link is not tagged with a medium and source.  A tracking code also overwrites an
+	* active session, as a tagged link does.
+	* @param {String,Array} newTrackingCodeKey the name of the query string parameter, or an ordered list of names where the first
+	* one with a value wins (default is none).
+	* @see TrafficOrganizer#applyKeyPreset
+	*/
+	this.setTrackingCodeKey = function(newTrackingCodeKey) {
+		trackingCodeKey = copyKeys(newTrackingCodeKey);
+	}
+	
+	/**
+	* Indicates whether the medium, source, campaign, content, keyword and tracking code parameters are matched regardless of case
+	* (e.g. UTM_SOURCE for utm_source).  A query reader supplied with {@link TrafficOrganizer#setEnvironment} receives
+	* <code>ignoreCase</code> as its third argument.
+	* @param {boolean} newCaseInsensitiveKeys <code>true</code> to ignore case (default is <code>false</code>).
+	*/
+	this.setCaseInsensitiveKeys = function(newCaseInsensitiveKeys) {
+		caseInsensitiveKeys = newCaseInsensitiveKeys;
+	}
+	
+	/**
+	* Indicates whether the medium, source, campaign, content, keyword and tracking code parameters are also read from the fragment
+	* of the landing page (e.g. "#utm_source=x&utm_medium=y" or "#/page?utm_source=x") when absent from its query string.  The
+	* fragment is always read with the built-in parser, even when a query reader is supplied with {@link TrafficOrganizer#setEnvironment}.
+	* @param {boolean} newKeysFromFragment <code>true</code> to read the fragment (default is <code>false</code>).
+	*/
+	this.setKeysFromFragment = function(newKeysFromFragment) {
+		keysFromFragment = newKeysFromFragment;
+	}
+	
+	/**
+	* Applies a built-in set of query string parameters for a tracking tool.  Presets:
+	* <ul>
+	*   <li><code>"omniture"</code> - Omniture tracking codes in <code>cid</code> or <code>s_cid</code> are used as the campaign
+	*   (see {@link TrafficOrganizer#setTrackingCodeKey}) and <code>s_kwcid</code> marks paid search traffic</li>
+	* </ul>
+	* @param {String} preset the name of the preset.
+	* @returns {boolean} <code>true</code> if the preset was applied, <code>false</code> if the name is not a built-in preset.
+	*/
+	this.applyKeyPreset = function(preset) {
+		switch(preset) {
+			case "omniture" :
+			trackingCodeKey = new Array("cid", "s_cid");
+			if (inArray("s_kwcid", paidSearchParameters) == -1) {
+				paidSearchParameters.push("s_kwcid");
+			}
+			return true;
+		}
+		return false;
 	}
 	
 	/**
-	* Sets the cookie name to use when storing the function.  Please note that all cookies are stored using Omniture's s.c_w function.
+	* Sets the cookie name to use when storing the function.  Please note that cookies are stored using the active storage backend
+	* (Omniture's s.c_w function by default, see {@link TrafficOrganizer#setStorage}).
 	* @param {String} newCookieName the new name to use for the traffic source manager cookie.
 	*/
 	this.setCookieName = function(newCookieName) {
@@ -339,119 +945,1257 @@ TrafficOrganizer = function(omniObject) {
 		return cookieTimeout;
 	}
 	
-	/** 
-	* Returns the name to be used for the medium output parameter in the event of direct traffic.
-	* @returns {String} the medium value used for direct traffic (default is "Direct (Brand Aware) / Bookmarked / Continued Session").
+	/**
+	* Sets the maximum size of the session cookie value (default is 1024 bytes).  When the values do not fit, the fields in the
+	* truncation order (see {@link TrafficOrganizer#setTruncationOrder}) are truncated, or omitted if truncating is not enough,
+	* until they do.  The medium and source are never truncated or omitted.  The size is measured as written by the storage backend,
+	* i.e. after any escaping it applies (see {@link TrafficOrganizer#setStorage}).
+	* @param {int} newCookieMaxBytes the maximum size measured in bytes.  Use <code>0</code> for no limit.
+	* @see TrafficOrganizer#getTruncatedFields
 	*/
-	this.getDirectMediumName = function() {
-		return directMediumName;
+	this.setCookieMaxBytes = function(newCookieMaxBytes) {
+		cookieMaxBytes = newCookieMaxBytes;
 	}
 	
 	/**
-	* Sets the name to be used for the medium output parameter in the event of direct traffic.
-	* @param {String} newMediumName the new value to use for medium in the event of direct traffic (default is "Direct (Brand Aware) / Bookmarked / Continued Session").
+	* Returns the maximum size of the session cookie value.
+	* @returns {int} the maximum size measured in bytes, or <code>0</code> if there is no limit.
 	*/
-	this.setDirectMediumName = function(newMediumName) {
-		directMediumName = newMediumName;
+	this.getCookieMaxBytes = function() {
+		return cookieMaxBytes;
 	}
 	
 	/**
-	* Returns the name to be used for the medium output parameter in the event of organic referral traffic.
-	* @returns {String} the medium value used for organic referral traffic (default is "Referrer: Organic").
+	* Sets the maximum number of characters of a value stored in the session cookie.  Longer values are truncated before the
+	* cookie is written.  The campaign and keyword limits also apply to the touchpoint history cookie.  By default the keyword,
+	* campaign, content, referring path and landing path are limited to 100 characters and the referring and landing query
+	* strings to 200 characters.
+	* @param {String} field the name of the value (e.g. "keyword", see {@link TrafficOrganizer#setOutputMapping} for the names).
+	* @param {int} maxLength the maximum number of characters.  Use <code>0</code> for no limit.
 	*/
-	this.getReferralMediumName = function() {
-		return referralMediumName;	
+	this.setFieldMaxLength = function(field, maxLength) {
+		if (maxLength > 0) {
+			fieldMaxLengths[field] = maxLength;
+		} else {
+			delete fieldMaxLengths[field];
+		}
 	}
 	
 	/**
-	* Sets the name to be used for the medium in the event of organic referral traffic.
-	*/ 
-	this.setReferralMediumName = function(newMediumName) {
-		referralMediumName = newMediumName;
+	* Returns the maximum lengths of the values stored in the session cookie.
+	* @returns {Object} the maximum number of characters keyed by value name (e.g. <code>{keyword: 100}</code>).
+	*/
+	this.getFieldMaxLengths = function() {
+		var lengths = {};
+		for (var field in fieldMaxLengths) {
+			if (fieldMaxLengths.hasOwnProperty(field)) {
+				lengths[field] = fieldMaxLengths[field];
+			}
+		}
+		return lengths;
 	}
 	
 	/**
-	* Returns the name to be used for the medium output parameter in the event of organic search traffic.
-	* @returns {String} the medium value used for organic search traffic (default is "Search Engine: Organic").
+	* Sets the order in which values are truncated or omitted when the session cookie exceeds its maximum size, first to last.
+	* Values which are not listed are never truncated to fit (the click ID parameter is omitted together with the click ID).
+	* @param {Array} newTruncationOrder the value names (e.g. <code>["referringQuery", "landingQuery", "keyword"]</code>).
 	*/
-	this.getOrganicMediumName = function() {
-		return organicMediumName;
+	this.setTruncationOrder = function(newTruncationOrder) {
+		truncationOrder = new Array();
+		for (var i = 0; i < newTruncationOrder.length; i++) {
+			if (newTruncationOrder[i] != "medium" && newTruncationOrder[i] != "source") {
+				truncationOrder.push(newTruncationOrder[i]);
+			}
+		}
 	}
 	
 	/**
-	* Sets the name to be used for the medium in the event of organic search traffic.
-	* @param {String} newMediumName the name to be used for organic search traffic.
-	*/ 
-	this.setOrganicMediumName = function(newMediumName) {
-		organicMediumName = newMediumName;
+	* Returns the order in which values are truncated or omitted when the session cookie exceeds its maximum size.
+	* @returns {Array} the value names, first to last.
+	*/
+	this.getTruncationOrder = function() {
+		return truncationOrder.slice(0);
 	}
 	
 	/**
-	* Returns the name to be used for the medium output parameter in the event of paid search traffic.
-	* @returns {String} the medium value used for paid search traffic (default is "Search Engine: Paid").  Traffic is considered paid when a paid
-	* search query string parmaeter is detected.
-	* @see TrafficOrganizer#addPaidSearchParameter
+	* Returns the values which were shortened when {@link TrafficOrganizer#track} last wrote the session and history cookies.  The
+	* output values themselves are not changed; only the stored copy is shortened.
+	* @returns {Array} an array of <code>{field: ..., action: ..., originalLength: ..., length: ...}</code> objects, where
+	* <code>action</code> is <code>"truncated"</code> or <code>"omitted"</code> and lengths are measured in characters.  Touchpoints
+	* discarded from the history cookie are reported as the field <code>"touchpoints"</code>, with lengths measured in touchpoints.
 	*/
-	this.getPPCMediumName = function() {
-		return ppcMediumName;	
+	this.getTruncatedFields = function() {
+		var fields = new Array();
+		for (var i = 0; i < truncatedFields.length; i++) {
+			fields.push({field: truncatedFields[i].field, action: truncatedFields[i].action,
+					originalLength: truncatedFields[i].originalLength, length: truncatedFields[i].length});
+		}
+		return fields;
 	}
 	
 	/**
-	* Sets the name to be used for the medium in the event of organic search traffic.
-	* @param {String} newMediumName the name to be used for paid search traffic.
-	* @see TrafficOrganizer#addPaidSearchParameter
-	*/ 
-	this.setPPCMediumName = function(newMediumName) {
-		ppcMediumName = newMediumName;
+	* Sets the cookie name used to store the touchpoint history.
+	* @param {String} newCookieName the new name to use for the touchpoint history cookie (default is "_tsmh").
+	*/
+	this.setHistoryCookieName = function(newCookieName) {
+		historyCookieName = newCookieName;
 	}
-	
+
 	/**
-	* Resets all the values that the traffic sources manager expects for query string parameters to identify a proper medium, source, campaign,
-	* keyword and content.
+	* Returns the current cookie name that will be used to store the touchpoint history.
+	* @returns {String} the current history cookie name.
 	*/
-	this.resetKeys = function() {
-		mediumKey = "utm_medium";
+	this.getHistoryCookieName = function() {
+		return historyCookieName;
+	}
+
+	/**
+	* Sets how long the touchpoint history is kept after the most recent touchpoint.  The default is 2 years.
+	* @param {int} newCookieTimeout the new timeout value to use measured in milliseconds.
+	*/
+	this.setHistoryCookieTimeout = function(newCookieTimeout) {
+		historyCookieTimeout = newCookieTimeout;
+	}
+
+	/**
+	* Returns the current touchpoint history cookie timeout.
+	* @returns {int} the current history cookie timeout measured in milliseconds.
+	*/
+	this.getHistoryCookieTimeout = function() {
+		return historyCookieTimeout;
+	}
+
+	/**
+	* Sets the maximum size of the touchpoint history cookie value (default is 2048 bytes).  The campaign and keyword of each
+	* touchpoint are first shortened to their maximum lengths (see {@link TrafficOrganizer#setFieldMaxLength}); when the history
+	* still does not fit, touchpoints are discarded from the middle of the history, keeping the first and the most recent ones.
+	* The size is measured as written by the storage backend, as for {@link TrafficOrganizer#setCookieMaxBytes}.
+	* @param {int} newCookieMaxBytes the maximum size measured in bytes.  Use <code>0</code> for no limit.
+	*/
+	this.setHistoryCookieMaxBytes = function(newCookieMaxBytes) {
+		historyCookieMaxBytes = newCookieMaxBytes;
+	}
+
+	/**
+	* Returns the maximum size of the touchpoint history cookie value.
+	* @returns {int} the maximum size measured in bytes, or <code>0</code> if there is no limit.
+	*/
+	this.getHistoryCookieMaxBytes = function() {
+		return historyCookieMaxBytes;
+	}
+
+	/**
+	* Sets the maximum number of touchpoints kept in the history.  Once the limit is reached, the oldest touchpoint after the very
+	* first one is discarded (the first touchpoint is always kept so that first touch attribution remains possible).
+	* Setting this to <code>0</code> disables the touchpoint history (and its cookie) entirely.
+	* @param {int} newMaxTouchpoints the maximum number of touchpoints to keep (default is 10).
+	*/
+	this.setMaxTouchpoints = function(newMaxTouchpoints) {
+		maxTouchpoints = newMaxTouchpoints;
+	}
+
+	/**
+	* Returns the maximum number of touchpoints kept in the history.
+	* @returns {int} the maximum number of touchpoints.
+	*/
+	this.getMaxTouchpoints = function() {
+		return maxTouchpoints;
+	}
+
+	/**
+	* Returns the touchpoint history once {@link TrafficOrganizer#track} is called.  A touchpoint is recorded every time
+	* {@link TrafficOrganizer#track} classifies a new traffic source (i.e. whenever the session cookie is written).  Each entry
+	* is an object with <code>medium</code>, <code>source</code>, <code>campaign</code>, <code>keyword</code> and
+	* <code>timestamp</code> (milliseconds since the epoch) properties.  Calling prior to {@link TrafficOrganizer#track}
+	* will return an empty array.
+	* @returns {Array} the touchpoints, oldest first.
+	*/
+	this.getTouchpoints = function() {
+		var result = new Array();
+		for (var i = 0; i < touchpoints.length; i++) {
+			result.push({
+				medium: touchpoints[i].medium,
+				source: touchpoints[i].source,
+				campaign: touchpoints[i].campaign,
+				keyword: touchpoints[i].keyword,
+				timestamp: touchpoints[i].timestamp
+			});
+		}
+		return result;
+	}
+
+	/**
+	* Sets the attribution model used to populate the attributed output values (see {@link TrafficOrganizer#getAttributedMedium}).
+	* Supported models are:
+	* <ul>
+	*   <li><code>"lastTouch"</code> - the most recent touchpoint (default)</li>
+	*   <li><code>"firstTouch"</code> - the oldest touchpoint within the lookback window</li>
+	*   <li><code>"lastNonDirectTouch"</code> - the most recent touchpoint whose medium is not the direct medium, falling back to the
+	*   most recent touchpoint if every touchpoint was direct</li>
+	* </ul>
+	* @param {String} newAttributionModel the attribution model to use.
+	*/
+	this.setAttributionModel = function(newAttributionModel) {
+		attributionModel = newAttributionModel;
+	}
+
+	/**
+	* Returns the current attribution model.
+	* @returns {String} the attribution model (default is "lastTouch").
+	*/
+	this.getAttributionModel = function() {
+		return attributionModel;
+	}
+
+	/**
+	* Sets the lookback window for attribution.  Touchpoints older than the window are not considered by the attribution model.
+	* @param {int} newLookback the lookback window measured in days (default is 30).  Use <code>0</code> to consider every touchpoint in the history.
+	*/
+	this.setAttributionLookback = function(newLookback) {
+		attributionLookback = newLookback;
+	}
+
+	/**
+	* Returns the current attribution lookback window.
+	* @returns {int} the lookback window measured in days.
+	*/
+	this.getAttributionLookback = function() {
+		return attributionLookback;
+	}
+
+	/**
+	* Returns the medium of the touchpoint selected by the attribution model once {@link TrafficOrganizer#track} is called.  Unlike
+	* {@link TrafficOrganizer#getMedium}, which always describes the current visit, this value may come from an earlier visit.
+	* Calling prior to {@link TrafficOrganizer#track} will return a blank value (i.e. "").
+	* @returns {String} the attributed medium.
+	* @see TrafficOrganizer#setAttributionModel
+	*/
+	this.getAttributedMedium = function() {
+		return attributedMedium;
+	}
+
+	/**
+	* Returns the source of the touchpoint selected by the attribution model once {@link TrafficOrganizer#track} is called.
+	* Calling prior to {@link TrafficOrganizer#track} will return a blank value (i.e. "").
+	* @returns {String} the attributed source.
+	* @see TrafficOrganizer#setAttributionModel
+	*/
+	this.getAttributedSource = function() {
+		return attributedSource;
+	}
+
+	/**
+	* Returns the campaign of the touchpoint selected by the attribution model once {@link TrafficOrganizer#track} is called.
+	* Calling prior to {@link TrafficOrganizer#track} will return a blank value (i.e. "").
+	* @returns {String} the attributed campaign.
+	* @see TrafficOrganizer#setAttributionModel
+	*/
+	this.getAttributedCampaign = function() {
+		return attributedCampaign;
+	}
+
+	/**
+	* Returns the keyword of the touchpoint selected by the attribution model once {@link TrafficOrganizer#track} is called.
+	* Calling prior to {@link TrafficOrganizer#track} will return a blank value (i.e. "").
+	* @returns {String} the attributed keyword.
+	* @see TrafficOrganizer#setAttributionModel
+	*/
+	this.getAttributedKeyword = function() {
+		return attributedKeyword;
+	}
+
+	/** 
+	* Returns the name to be used for the medium output parameter in the event of direct traffic.
+	* @returns {String} the medium value used for direct traffic (default is "Direct (Brand Aware) / Bookmarked / Continued Session").
+	*/
+	this.getDirectMediumName = function() {
+		return directMediumName;
+	}
+	
+	/**
+	* Sets the name to be used for the medium output parameter in the event of direct traffic.
+	* @param {String} newMediumName the new value to use for medium in the event of direct traffic (default is "Direct (Brand Aware) / Bookmarked / Continued Session").
+	*/
+	this.setDirectMediumName = function(newMediumName) {
+		directMediumName = newMediumName;
+	}
+	
+	/**
+	* Returns the name to be used for the medium output parameter in the event of organic referral traffic.
+	* @returns {String} the medium value used for organic referral traffic (default is "Referrer: Organic").
+	*/
+	this.getReferralMediumName = function() {
+		return referralMediumName;	
+	}
+	
+	/**
+	* Sets the name to be used for the medium in the event of organic referral traffic.
+	*/ 
+	this.setReferralMediumName = function(newMediumName) {
+		referralMediumName = newMediumName;
+	}
+	
+	/**
+	* Returns the name to be used for the medium output parameter in the event of organic search traffic.
+	* @returns {String} the medium value used for organic search traffic (default is "Search Engine: Organic").
+	*/
+	this.getOrganicMediumName = function() {
+		return organicMediumName;
+	}
+	
+	/**
+	* Sets the name to be used for the medium in the event of organic search traffic.
+	* @param {String} newMediumName the name to be used for organic search traffic.
+	*/ 
+	this.setOrganicMediumName = function(newMediumName) {
+		organicMediumName = newMediumName;
+	}
+	
+	/**
+	* Returns the name to be used for the medium output parameter in the event of paid search traffic.
+	* @returns {String} the medium value used for paid search traffic (default is "Search Engine: Paid").  Traffic is considered paid when a paid
+	* search query string parmaeter is detected.
+	* @see TrafficOrganizer#addPaidSearchParameter
+	*/
+	this.getPPCMediumName = function() {
+		return ppcMediumName;	
+	}
+	
+	/**
+	* Sets the name to be used for the medium in the event of organic search traffic.
+	* @param {String} newMediumName the name to be used for paid search traffic.
+	* @see TrafficOrganizer#addPaidSearchParameter
+	*/ 
+	this.setPPCMediumName = function(newMediumName) {
+		ppcMediumName = newMediumName;
+	}
+	
+	/**
+	* Returns the name to be used for the medium output parameter in the event of social network referral traffic.
+	* @returns {String} the medium value used for social network referral traffic (default is "Social").
+	* @see TrafficOrganizer#addSocialNetwork
+	*/
+	this.getSocialMediumName = function() {
+		return socialMediumName;
+	}
+	
+	/**
+	* Sets the name to be used for the medium in the event of social network referral traffic.
+	* @param {String} newMediumName the name to be used for social network referral traffic.
+	* @see TrafficOrganizer#addSocialNetwork
+	*/
+	this.setSocialMediumName = function(newMediumName) {
+		socialMediumName = newMediumName;
+	}
+	
+	/**
+	* Returns the name to be used for the medium output parameter in the event of webmail referral traffic.
+	* @returns {String} the medium value used for webmail referral traffic (default is "Email").
+	* @see TrafficOrganizer#addWebmailProvider
+	*/
+	this.getEmailMediumName = function() {
+		return emailMediumName;
+	}
+	
+	/**
+	* Sets the name to be used for the medium in the event of webmail referral traffic.
+	* @param {String} newMediumName the name to be used for webmail referral traffic.
+	* @see TrafficOrganizer#addWebmailProvider
+	*/
+	this.setEmailMediumName = function(newMediumName) {
+		emailMediumName = newMediumName;
+	}
+	
+	/**
+	* Returns the name to be used for the medium output parameter in the event of paid display traffic.
+	* @returns {String} the medium value used for paid display traffic (default is "Display: Paid").
+	* @see TrafficOrganizer#addClickIdParameter
+	*/
+	this.getDisplayMediumName = function() {
+		return displayMediumName;
+	}
+	
+	/**
+	* Sets the name to be used for the medium in the event of paid display traffic.
+	* @param {String} newMediumName the name to be used for paid display traffic.
+	* @see TrafficOrganizer#addClickIdParameter
+	*/
+	this.setDisplayMediumName = function(newMediumName) {
+		displayMediumName = newMediumName;
+	}
+	
+	/**
+	* Returns the name to be used for the medium output parameter in the event of paid social traffic.
+	* @returns {String} the medium value used for paid social traffic (default is "Social: Paid").
+	* @see TrafficOrganizer#addClickIdParameter
+	*/
+	this.getPaidSocialMediumName = function() {
+		return paidSocialMediumName;
+	}
+	
+	/**
+	* Sets the name to be used for the medium in the event of paid social traffic.
+	* @param {String} newMediumName the name to be used for paid social traffic.
+	* @see TrafficOrganizer#addClickIdParameter
+	*/
+	this.setPaidSocialMediumName = function(newMediumName) {
+		paidSocialMediumName = newMediumName;
+	}
+	
+	/**
+	* Selects where the session cookie and the touchpoint history are stored.  The built-in backends are:
+	* <ul>
+	*   <li><code>"omniture"</code> - Omniture's s.c_r and s.c_w plugins (default when they are available)</li>
+	*   <li><code>"cookie"</code> - native <code>document.cookie</code> (default when the Omniture plugins are not loaded).  Supports the
+	*   <code>domain</code>, <code>path</code>, <code>secure</code> and <code>sameSite</code> options.</li>
+	*   <li><code>"localStorage"</code> - the browser's <code>window.localStorage</code></li>
+	*   <li><code>"memory"</code> - an in-memory store which only lasts as long as this instance (useful for testing)</li>
+	* </ul>
+	* Alternatively, any object implementing <code>read(name)</code> (returning a {@link String}, blank if not set) and
+	* <code>write(name, value, expires)</code> (where <code>expires</code> is a {@link Date}; a date in the past deletes the value)
+	* can be passed as a custom backend.  A backend which escapes values may also implement <code>size(value)</code>, returning the
+	* number of bytes written for a value, so that the cookie size limits are applied to the escaped value.
+	* @param {String,Object} newStorage the name of a built-in backend or a custom backend object.
+	* @param {Object} [newStorageOptions] options for the built-in backend.
+	* @returns {boolean} <code>true</code> if the backend was selected, <code>false</code> if the name is not a built-in backend.
+	*/
+	this.setStorage = function(newStorage, newStorageOptions) {
+		var options = newStorageOptions || {};
+		var backend = null;
+		
+		if (typeof(newStorage) == "object" && newStorage !== null) {
+			storage = newStorage;
+			storageType = "custom";
+			storageOptions = options;
+			return true;
+		}
+		
+		switch(newStorage) {
+			case "omniture" :
+			backend = createOmnitureStorage();
+			break;
+			
+			case "cookie" :
+			backend = createCookieStorage(options);
+			break;
+			
+			case "localStorage" :
+			backend = createLocalStorage();
+			break;
+			
+			case "memory" :
+			backend = createMemoryStorage();
+			break;
+		}
+		
+		if (!backend) {
+			return false;
+		}
+		storage = backend;
+		storageType = newStorage;
+		storageOptions = options;
+		return true;
+	}
+	
+	/**
+	* Returns the name of the active storage backend.
+	* @returns {String} the name of the active backend, or <code>"custom"</code> if a custom backend object is in use.
+	*/
+	this.getStorage = function() {
+		return storageType;
+	}
+	
+	/**
+	* Sets the domain of the session and history cookies (e.g. ".example.com") so that they are shared by all subdomains.  Applies
+	* to the <code>"cookie"</code> backend unless its <code>domain</code> option is set.  As s.c_w cannot set a domain, the
+	* <code>"omniture"</code> backend writes the cookies with <code>document.cookie</code> instead while a domain is set.
+	* @param {String} newCookieDomain the cookie domain, or a blank value (i.e. "") for the current host only (default).
+	*/
+	this.setCookieDomain = function(newCookieDomain) {
+		cookieDomain = newCookieDomain;
+	}
+	
+	/**
+	* Returns the domain of the session and history cookies.
+	* @returns {String} the cookie domain, or a blank value (i.e. "") for the current host only.
+	*/
+	this.getCookieDomain = function() {
+		return cookieDomain;
+	}
+	
+	/**
+	* Adds a domain which shares the traffic source with this site through the linker parameter (e.g. a checkout on another
+	* domain).  Links and forms to linker domains are decorated by {@link TrafficOrganizer#autoLink}, and referrals from linker
+	* domains do not overwrite the session, as with ignored referrers.
+	* @param {String} domain the domain, which also matches its subdomains (e.g. "checkout.com" or "*.checkout.com").
+	*/
+	this.addLinkerDomain = function(domain) {
+		linkerDomains.push(domain);
+	}
+	
+	/**
+	* Clears the list of linker domains.
+	*/
+	this.clearLinkerDomains = function() {
+		linkerDomains = new Array();
+	}
+	
+	/**
+	* Returns the list of linker domains.
+	* @returns {Array} the linker domains.
+	*/
+	this.getLinkerDomains = function() {
+		return linkerDomains.slice(0);
+	}
+	
+	/**
+	* Sets the query string parameter which carries the traffic source between domains.
+	* @param {String} newLinkerParameter the parameter name (default is "_tsmx").
+	*/
+	this.setLinkerParameter = function(newLinkerParameter) {
+		linkerParameter = newLinkerParameter;
+	}
+	
+	/**
+	* Returns the query string parameter which carries the traffic source between domains.
+	* @returns {String} the parameter name.
+	*/
+	this.getLinkerParameter = function() {
+		return linkerParameter;
+	}
+	
+	/**
+	* Sets how long a decorated link remains valid.  Older linker parameters (e.g. from a bookmarked or shared link) are ignored.
+	* @param {int} newLinkerTimeout the timeout measured in milliseconds (default is 120000 ms = 2 mins).
+	*/
+	this.setLinkerTimeout = function(newLinkerTimeout) {
+		linkerTimeout = newLinkerTimeout;
+	}
+	
+	/**
+	* Returns how long a decorated link remains valid.
+	* @returns {int} the timeout measured in milliseconds.
+	*/
+	this.getLinkerTimeout = function() {
+		return linkerTimeout;
+	}
+	
+	/**
+	* Adds the traffic source of the current session to a URL in the linker parameter, replacing any existing value.  When the
+	* visitor lands on the URL, {@link TrafficOrganizer#track} restores the session from the parameter instead of classifying
+	* the visit again.  The URL is returned unchanged if there is no session.
+	* @param {String} url the URL to decorate.
+	* @returns {String} the decorated URL.
+	*/
+	this.decorate = function(url) {
+		var value = getLinkerValue();
+		if (!value) {
+			return url;
+		}
+		
+		var hashIndex = url.indexOf("#");
+		var hash = hashIndex >= 0 ? url.substring(hashIndex) : "";
+		var base = hashIndex >= 0 ? url.substring(0, hashIndex) : url;
+		var name = linkerParameter.replace(/[.+?^${}()|[\]\\\/*]/g, "\\$&");
+		
+		base = base.replace(new RegExp("([?&])" + name + "=[^&]*(&|$)"), "$1").replace(/[?&]$/, "");
+		return base + (base.indexOf("?") >= 0 ? "&" : "?") + linkerParameter + "=" + encodeURIComponent(value) + hash;
+	}
+	
+	/**
+	* Decorates links and forms to linker domains (see {@link TrafficOrganizer#addLinkerDomain}) as the visitor follows or submits
+	* them.  Only available in a browser page.
+	* @returns {boolean} <code>true</code> if the listeners were added.
+	*/
+	this.autoLink = function() {
+		var organizer = this;
+		
+		if (typeof(document) == "undefined" || (!document.addEventListener && !document.attachEvent)) {
+			return false;
+		}
+		
+		var onClick = function(e) {
+			e = e || window.event;
+			var el = e.target || e.srcElement;
+			while (el && !(el.tagName && el.tagName.toLowerCase() == "a" && el.href)) {
+				el = el.parentNode;
+			}
+			if (el && isLinkerURI(el.href)) {
+				el.href = organizer.decorate(el.href);
+			}
+		};
+		
+		var onSubmit = function(e) {
+			e = e || window.event;
+			var form = e.target || e.srcElement;
+			if (!form || !form.action || !isLinkerURI(form.action)) {
+				return;
+			}
+			if ((form.method || "get").toLowerCase() == "get") {
+				// The query string of the action is replaced by the form fields, so the value is sent as a field
+				var value = getLinkerValue();
+				var input = form.elements ? form.elements[linkerParameter] : null;
+				if (!value) {
+					return;
+				}
+				if (!input) {
+					input = document.createElement("input");
+					input.type = "hidden";
+					input.name = linkerParameter;
+					form.appendChild(input);
+				}
+				input.value = value;
+			} else {
+				form.action = organizer.decorate(form.action);
+			}
+		};
+		
+		if (document.addEventListener) {
+			document.addEventListener("mousedown", onClick, true);
+			document.addEventListener("click", onClick, true);
+			document.addEventListener("submit", onSubmit, true);
+		} else {
+			document.attachEvent("onmousedown", onClick);
+			document.attachEvent("onclick", onClick);
+			document.attachEvent("onsubmit", onSubmit);
+		}
+		return true;
+	}
+	
+	/**
+	* Maps output values to Omniture variables so that {@link TrafficOrganizer#track} can assign them automatically, e.g.
+	* <code>{medium: "eVar1", source: ["eVar2", "prop2"], keyword: "eVar3"}</code>.  Every mapped variable is also added to
+	* <code>s.linkTrackVars</code> so that the values are sent with link tracking calls.  Blank values are never assigned.
+	* The output values which can be mapped are: <code>medium</code>, <code>source</code>, <code>keyword</code>,
+	* <code>keywordGroup</code>, <code>content</code>, <code>campaign</code>, <code>referringDomain</code>, <code>referringPath</code>,
+	* <code>referringHostname</code>, <code>referringRegistrableDomain</code>, <code>referringSubdomain</code>, <code>referringQuery</code>,
+	* <code>landingPage</code>, <code>landingPath</code>, <code>landingQuery</code>, <code>combined</code> (see {@link TrafficOrganizer#setCombinedTemplate}),
+	* <code>clickId</code>, <code>clickIdParameter</code>, <code>attributedMedium</code>, <code>attributedSource</code>,
+	* <code>attributedCampaign</code> and <code>attributedKeyword</code>.
+	* @param {Object} newOutputMapping an object whose keys are output values and whose values are a variable name or an array of variable names.
+	* @returns {Array} the keys of <code>newOutputMapping</code> which are not output values (these are not mapped).
+	*/
+	this.setOutputMapping = function(newOutputMapping) {
+		var unknown = new Array();
+		
+		outputMapping = {};
+		for (var key in newOutputMapping) {
+			if (!newOutputMapping.hasOwnProperty(key)) continue;
+			if (getOutputValue(key) === null) {
+				unknown.push(key);
+			} else {
+				outputMapping[key] = typeof(newOutputMapping[key]) == "string" ? [newOutputMapping[key]] : newOutputMapping[key].slice(0);
+			}
+		}
+		return unknown;
+	}
+	
+	/**
+	* Returns the current output mapping.
+	* @returns {Object} the output mapping, each output value being mapped to an array of variable names.
+	* @see TrafficOrganizer#setOutputMapping
+	*/
+	this.getOutputMapping = function() {
+		var result = {};
+		for (var key in outputMapping) {
+			if (outputMapping.hasOwnProperty(key)) {
+				result[key] = outputMapping[key].slice(0);
+			}
+		}
+		return result;
+	}
+	
+	/**
+	* Sets a success event (e.g. "event5") which {@link TrafficOrganizer#track} adds to <code>s.events</code> whenever a new traffic
+	* source is recorded.  The event is also added to <code>s.linkTrackEvents</code>.
+	* @param {String} newSuccessEvent the success event to fire, or a blank value (i.e. "") to disable it (default).
+	*/
+	this.setSuccessEvent = function(newSuccessEvent) {
+		successEvent = newSuccessEvent;
+	}
+	
+	/**
+	* Returns the success event fired when a new traffic source is recorded.
+	* @returns {String} the success event, or a blank value (i.e. "") if disabled.
+	*/
+	this.getSuccessEvent = function() {
+		return successEvent;
+	}
+	
+	/**
+	* Resets all the values that the traffic sources manager expects for query string parameters to identify a proper medium, source, campaign,
+	* keyword and content.
+	*/
+	this.resetKeys = function() {
+		mediumKey = "utm_medium";
 		sourceKey = "utm_source";
 		campaignKey = "utm_campaign";
 		keywordKey = "utm_term";
 		contentKey = "utm_content";
+		trackingCodeKey = new Array();
+		caseInsensitiveKeys = false;
+		keysFromFragment = false;
+	}
+	
+	/**
+	* Resets ALL values to their initial values.  This will overwrite: cookie timeout, cookie name, search keyword groups, referring site groups,
+	* ignored keyword lists, paid search keyword lists, direct channel names, referral channel names, organic channel names and ppc channel names.
+	*/
+	this.resetAll = function() {
+		this.resetKeys();
+		
+		cookieTimeout 			= 1800000;	// 30 minutes
+		cookieName 				= "_tsm";
+		historyCookieTimeout	= 63072000000;	// 2 years
+		historyCookieName		= "_tsmh";
+		historyCookieMaxBytes	= 2048;
+		cookieMaxBytes			= 1024;
+		cookieDomain			= "";
+		linkerParameter			= "_tsmx";
+		linkerDomains			= new Array();
+		linkerTimeout			= 120000;	// 2 minutes
+		fieldMaxLengths			= {keyword: 100, campaign: 100, content: 100, referringPath: 100, referringQuery: 200, landingPath: 100, landingQuery: 200};
+		truncationOrder			= new Array("referringQuery", "landingQuery", "referringPath", "landingPath", "referringHostname",
+									"referringDomain", "content", "keywordGroup", "clickId", "keyword", "campaign");
+		truncatedFields			= new Array();
+		maxTouchpoints			= 10;
+		touchpoints				= new Array();
+		
+		attributionModel		= "lastTouch";
+		attributionLookback		= 30;
+		attributedMedium		= "";
+		attributedSource		= "";
+		attributedCampaign		= "";
+		attributedKeyword		= "";
+		
+		medium 					= "";
+		source					= "";
+		campaign				= "";
+		keywordGroup			= "";
+		notProvidedKeyword		= "(not provided)";
+		content					= "";
+		clickId					= "";
+		clickIdParameter		= "";
+		setReferrer(getEnvironmentReferrer());
+		landingURI				= getEnvironmentLocation();
+		landingPath				= "";
+		landingQuery			= "";
+		classificationTime		= 0;
+		combinedTemplate		= "%m > %s > %k";
+		
+		hooks					= {onBeforeClassify: [], onClassified: [], onBeforeOverwrite: [], onRestored: []};
+		
+		debug					= false;
+		debugConsole			= false;
+		diagnostics				= new Array();
+		
+		searchKeywordGroups 	= new Array();
+		classificationRules		= new Array();
+		referringSiteGroups 	= new Array();
+		ignoredReferrers		= new Array();
+		ignoredSearchKeywords 	= new Array();	
+		paidSearchParameters	= new Array();
+		
+		ignoredReferrers.push(getDomainFromURI(landingURI.toLowerCase()));
+		for (var i = 0; i < ignoredProviderList.length; i++) {
+			ignoredReferrers.push(ignoredProviderList[i]);
+		}
+		autoIgnoreSubdomains	= false;
+		
+		directMediumName 		= "Direct / Brand Aware: Typed / Bookmarked / etc";
+		referralMediumName 		= "Referrer: Organic";
+		organicMediumName		= "Search Engine: Organic";
+		ppcMediumName			= "Search Engine: Paid";
+		displayMediumName		= "Display: Paid";
+		paidSocialMediumName	= "Social: Paid";
+		socialMediumName		= "Social";
+		emailMediumName			= "Email";
+		
+		firstPageOnly			= true;
+		mediumPriorities		= new Array();
+		protectTaggedCampaigns	= false;
+		minOverwriteTime		= 0;
+		
+		outputMapping			= {};
+		successEvent			= "";
+		
+		if (env.storage) {
+			this.setStorage(env.storage, env.storageOptions);
+		} else if (s && s.c_r && s.c_w) {
+			this.setStorage("omniture");
+		} else {
+			this.setStorage(typeof(document) != "undefined" ? "cookie" : "memory");
+		}
+	}
+	
+	/**
+	* Describes the page being tracked for use outside of a browser page (e.g. in Node for server-generated beacons) or in tests.
+	* By default the referrer and location are read from <code>document</code>, values are read from the landing page's query
+	* string and the storage backend is chosen as described in {@link TrafficOrganizer#setStorage} (<code>"memory"</code> when
+	* there is no <code>document</code>).  Recognized properties, each optional:
+	* <ul>
+	*   <li><code>referrer</code> - the full referrer (blank for direct traffic)</li>
+	*   <li><code>location</code> - the full URL of the landing page</li>
+	*   <li><code>storage</code> - a storage backend name or object and <code>storageOptions</code> its options (see
+	*   {@link TrafficOrganizer#setStorage})</li>
+	*   <li><code>getQueryParam</code> - a function <code>(name, url, ignoreCase)</code> returning the decoded value of a query
+	*   string parameter of <code>url</code>, or a blank value (i.e. "") if absent.  <code>ignoreCase</code> is true when the name
+	*   should be matched regardless of case (see {@link TrafficOrganizer#setCaseInsensitiveKeys}).  Parameters in the fragment
+	*   (see {@link TrafficOrganizer#setKeysFromFragment}) are not read through this function.</li>
+	* </ul>
+	* The landing page's domain is added to the ignored referrers.
+	* @param {Object} newEnvironment the environment object.
+	*/
+	this.setEnvironment = function(newEnvironment) {
+		env = newEnvironment || {};
+		
+		setReferrer(getEnvironmentReferrer());
+		landingURI = getEnvironmentLocation();
+		if (inArray(getDomainFromURI(landingURI.toLowerCase()), ignoredReferrers) == -1) {
+			ignoredReferrers.push(getDomainFromURI(landingURI.toLowerCase()));
+		}
+		if (env.storage) {
+			this.setStorage(env.storage, env.storageOptions);
+		}
+	}
+
+	/**
+	* Applies a configuration object in one call instead of calling each setter individually.  Only the keys present in
+	* <code>newConfig</code> are changed; lists (groups, ignore lists, engines) replace the current list entirely.  Recognized keys:
+	* <ul>
+	*   <li><code>mediumKey</code>, <code>sourceKey</code>, <code>campaignKey</code>, <code>keywordKey</code>, <code>contentKey</code>,
+	*   <code>trackingCodeKey</code> - query string parameter names (or ordered lists of names)</li>
+	*   <li><code>caseInsensitiveKeys</code>, <code>keysFromFragment</code>, <code>keyPreset</code> - see {@link TrafficOrganizer#applyKeyPreset}</li>
+	*   <li><code>directMediumName</code>, <code>referralMediumName</code>, <code>organicMediumName</code>, <code>ppcMediumName</code>,
+	*   <code>displayMediumName</code>, <code>paidSocialMediumName</code>, <code>socialMediumName</code>, <code>emailMediumName</code> - medium names</li>
+	*   <li><code>cookieName</code>, <code>cookieTimeout</code>, <code>firstPageOnly</code>, <code>notProvidedKeyword</code>, <code>combinedTemplate</code></li>
+	*   <li><code>cookieMaxBytes</code>, <code>fieldMaxLengths</code> (e.g. <code>{keyword: 100}</code>), <code>truncationOrder</code> - see
+	*   {@link TrafficOrganizer#setCookieMaxBytes}</li>
+	*   <li><code>cookieDomain</code>, <code>linkerParameter</code>, <code>linkerDomains</code>, <code>linkerTimeout</code> - see
+	*   {@link TrafficOrganizer#addLinkerDomain}</li>
+	*   <li><code>debug</code>, <code>debugConsole</code> - see {@link TrafficOrganizer#setDebug}</li>
+	*   <li><code>historyCookieName</code>, <code>historyCookieTimeout</code>, <code>historyCookieMaxBytes</code>,
+	*   <code>maxTouchpoints</code></li>
+	*   <li><code>attributionModel</code>, <code>attributionLookback</code></li>
+	*   <li><code>storage</code>, <code>storageOptions</code> - the name and options of a built-in storage backend (see {@link TrafficOrganizer#setStorage}).
+	*   An unknown name, including <code>"custom"</code> as reported by {@link TrafficOrganizer#getConfig}, is reported as
+	*   <code>"storage." + name</code> and leaves the backend unchanged.</li>
+	*   <li><code>outputMapping</code>, <code>successEvent</code> - see {@link TrafficOrganizer#setOutputMapping}</li>
+	*   <li><code>paidSearchParameters</code> - array of query string parameters</li>
+	*   <li><code>ignoredReferrers</code>, <code>ignoredSearchKeywords</code> - arrays of strings or patterns</li>
+	*   <li><code>autoIgnoreSubdomains</code> - see {@link TrafficOrganizer#setAutoIgnoreSubdomains}</li>
+	*   <li><code>mediumPriorities</code>, <code>protectTaggedCampaigns</code>, <code>minOverwriteTime</code> - the overwrite policy
+	*   (see {@link TrafficOrganizer#setMediumPriorities})</li>
+	*   <li><code>searchKeywordGroups</code> - array of <code>{keywords: ..., name: ...}</code></li>
+	*   <li><code>referrerGroups</code> - array of <code>{domains: ..., medium: ..., source: ...}</code></li>
+	*   <li><code>searchEngines</code> - array of <code>{domain: ..., keywordKey: ..., name: ..., match: ...}</code> (see {@link TrafficOrganizer#addSearchEngine})</li>
+	*   <li><code>clickIdParameters</code> - array of <code>{parameter: ..., source: ..., medium: ...}</code></li>
+	*   <li><code>socialNetworks</code>, <code>webmailProviders</code> - arrays of <code>{domain: ..., name: ...}</code></li>
+	*   <li><code>rules</code> - array of classification rules (see {@link TrafficOrganizer#addRule})</li>
+	* </ul>
+	* Wherever a {@link RegExp} is accepted, the JSON-friendly form <code>{pattern: "...", flags: "i"}</code> may be used instead.
+	* @param {Object} newConfig the configuration object.
+	* @returns {Array} the keys of <code>newConfig</code> that were not recognized (empty if every key was applied).
+	*/
+	this.loadConfig = function(newConfig) {
+		var unknown = new Array();
+		var i;
+		
+		if (newConfig.hasOwnProperty("storage")) {
+			if (!this.setStorage(newConfig.storage, newConfig.storageOptions || storageOptions)) {
+				unknown.push("storage." + newConfig.storage);
+			}
+		} else if (newConfig.hasOwnProperty("storageOptions") && storageType != "custom") {
+			this.setStorage(storageType, newConfig.storageOptions);
+		}
+		
+		// Presets are applied first so that the other keys can refine them
+		if (newConfig.hasOwnProperty("keyPreset") && !this.applyKeyPreset(newConfig.keyPreset)) {
+			unknown.push("keyPreset." + newConfig.keyPreset);
+		}
+
+		for (var key in newConfig) {
+			if (!newConfig.hasOwnProperty(key)) continue;
+			var value = newConfig[key];
+
+			switch(key) {
+				case "mediumKey" :
+				mediumKey = copyKeys(value);
+				break;
+
+				case "sourceKey" :
+				sourceKey = copyKeys(value);
+				break;
+
+				case "campaignKey" :
+				campaignKey = copyKeys(value);
+				break;
+
+				case "keywordKey" :
+				keywordKey = copyKeys(value);
+				break;
+
+				case "contentKey" :
+				contentKey = copyKeys(value);
+				break;
+
+				case "trackingCodeKey" :
+				trackingCodeKey = copyKeys(value);
+				break;
+
+				case "caseInsensitiveKeys" :
+				caseInsensitiveKeys = value;
+				break;
+
+				case "keysFromFragment" :
+				keysFromFragment = value;
+				break;
+
+				case "keyPreset" :
+				break;
+
+				case "cookieName" :
+				cookieName = value;
+				break;
+
+				case "cookieTimeout" :
+				cookieTimeout = value;
+				break;
+
+				case "cookieMaxBytes" :
+				cookieMaxBytes = value;
+				break;
+
+				case "cookieDomain" :
+				cookieDomain = value;
+				break;
+
+				case "linkerParameter" :
+				linkerParameter = value;
+				break;
+
+				case "linkerDomains" :
+				linkerDomains = value.slice(0);
+				break;
+
+				case "linkerTimeout" :
+				linkerTimeout = value;
+				break;
+
+				case "fieldMaxLengths" :
+				fieldMaxLengths = {};
+				for (var field in value) {
+					if (value.hasOwnProperty(field)) {
+						this.setFieldMaxLength(field, value[field]);
+					}
+				}
+				break;
+
+				case "truncationOrder" :
+				this.setTruncationOrder(value);
+				break;
+
+				case "firstPageOnly" :
+				firstPageOnly = value;
+				break;
+
+				case "autoIgnoreSubdomains" :
+				autoIgnoreSubdomains = value;
+				break;
+
+				case "mediumPriorities" :
+				mediumPriorities = value.slice(0);
+				break;
+
+				case "protectTaggedCampaigns" :
+				protectTaggedCampaigns = value;
+				break;
+
+				case "minOverwriteTime" :
+				minOverwriteTime = value;
+				break;
+
+				case "notProvidedKeyword" :
+				notProvidedKeyword = value;
+				break;
+
+				case "combinedTemplate" :
+				combinedTemplate = value;
+				break;
+
+				case "debug" :
+				debug = value;
+				break;
+
+				case "debugConsole" :
+				debugConsole = value;
+				break;
+
+				case "historyCookieName" :
+				historyCookieName = value;
+				break;
+
+				case "historyCookieTimeout" :
+				historyCookieTimeout = value;
+				break;
+
+				case "historyCookieMaxBytes" :
+				historyCookieMaxBytes = value;
+				break;
+
+				case "maxTouchpoints" :
+				maxTouchpoints = value;
+				break;
+
+				case "attributionModel" :
+				attributionModel = value;
+				break;
+
+				case "attributionLookback" :
+				attributionLookback = value;
+				break;
+
+				case "outputMapping" :
+				var unknownOutputs = this.setOutputMapping(value);
+				for (i = 0; i < unknownOutputs.length; i++) {
+					unknown.push(key + "." + unknownOutputs[i]);
+				}
+				break;
+
+				case "successEvent" :
+				successEvent = value;
+				break;
+
+				case "storage" :
+				case "storageOptions" :
+				// Applied above so that both keys are used together
+				break;
+
+				case "directMediumName" :
+				directMediumName = value;
+				break;
+
+				case "referralMediumName" :
+				referralMediumName = value;
+				break;
+
+				case "organicMediumName" :
+				organicMediumName = value;
+				break;
+
+				case "ppcMediumName" :
+				ppcMediumName = value;
+				break;
+
+				case "displayMediumName" :
+				displayMediumName = value;
+				break;
+
+				case "paidSocialMediumName" :
+				paidSocialMediumName = value;
+				break;
+
+				case "socialMediumName" :
+				socialMediumName = value;
+				break;
+
+				case "emailMediumName" :
+				emailMediumName = value;
+				break;
+
+				case "paidSearchParameters" :
+				paidSearchParameters = value.slice(0);
+				break;
+
+				case "ignoredReferrers" :
+				ignoredReferrers = parsePatternList(value);
+				break;
+
+				case "ignoredSearchKeywords" :
+				ignoredSearchKeywords = parsePatternList(value);
+				break;
+
+				case "searchKeywordGroups" :
+				searchKeywordGroups = new Array();
+				for (i = 0; i < value.length; i++) {
+					searchKeywordGroups.push([parsePattern(value[i].keywords), value[i].name]);
+				}
+				break;
+
+				case "referrerGroups" :
+				referringSiteGroups = new Array();
+				for (i = 0; i < value.length; i++) {
+					var domains = typeof(value[i].domains) == "string" ? value[i].domains : parsePatternList(value[i].domains);
+					referringSiteGroups.push([domains, value[i].medium, value[i].source]);
+				}
+				break;
+
+				case "searchEngines" :
+				searchEngineList = new Array();
+				for (i = 0; i < value.length; i++) {
+					searchEngineList.push([value[i].domain, value[i].keywordKey, value[i].name, value[i].match || "substring"]);
+				}
+				break;
+
+				case "clickIdParameters" :
+				clickIdList = new Array();
+				for (i = 0; i < value.length; i++) {
+					clickIdList.push([value[i].parameter, value[i].source, value[i].medium]);
+				}
+				break;
+
+				case "socialNetworks" :
+				socialNetworkList = new Array();
+				for (i = 0; i < value.length; i++) {
+					socialNetworkList.push([value[i].domain, value[i].name]);
+				}
+				break;
+
+				case "webmailProviders" :
+				webmailProviderList = new Array();
+				for (i = 0; i < value.length; i++) {
+					webmailProviderList.push([value[i].domain, value[i].name]);
+				}
+				break;
+
+				case "rules" :
+				this.clearRules();
+				for (i = 0; i < value.length; i++) {
+					this.addRule(value[i]);
+				}
+				break;
+
+				default :
+				unknown.push(key);
+			}
+		}
+
+		unknownConfigKeys = unknown;
+		return unknown;
+	}
+
+	/**
+	* Returns the current settings as a configuration object which can be serialized with <code>JSON.stringify</code> and passed
+	* back to {@link TrafficOrganizer#loadConfig} or the constructor.  {@link RegExp} values are returned as
+	* <code>{pattern: "...", flags: "..."}</code>.
+	* @returns {Object} the current configuration.
+	*/
+	this.getConfig = function() {
+		var i;
+		var keywordGroups = new Array();
+		var referrerGroups = new Array();
+		var engines = new Array();
+		var clickIds = new Array();
+		var socialNetworks = new Array();
+		var webmailProviders = new Array();
+		var rules = new Array();
+
+		for (i = 0; i < searchKeywordGroups.length; i++) {
+			keywordGroups.push({keywords: serializePattern(searchKeywordGroups[i][0]), name: searchKeywordGroups[i][1]});
+		}
+		for (i = 0; i < referringSiteGroups.length; i++) {
+			var domains = typeof(referringSiteGroups[i][0]) == "string" ? referringSiteGroups[i][0] : serializePatternList(referringSiteGroups[i][0]);
+			referrerGroups.push({domains: domains, medium: referringSiteGroups[i][1], source: referringSiteGroups[i][2]});
+		}
+		for (i = 0; i < searchEngineList.length; i++) {
+			engines.push({domain: searchEngineList[i][0], keywordKey: searchEngineList[i][1], name: searchEngineList[i][2], match: searchEngineList[i][3]});
+		}
+		for (i = 0; i < clickIdList.length; i++) {
+			clickIds.push({parameter: clickIdList[i][0], source: clickIdList[i][1], medium: clickIdList[i][2]});
+		}
+		for (i = 0; i < socialNetworkList.length; i++) {
+			socialNetworks.push({domain: socialNetworkList[i][0], name: socialNetworkList[i][1]});
+		}
+		for (i = 0; i < webmailProviderList.length; i++) {
+			webmailProviders.push({domain: webmailProviderList[i][0], name: webmailProviderList[i][1]});
+		}
+		for (i = 0; i < classificationRules.length; i++) {
+			var conditions = {};
+			var actions = {};
+			for (var key in classificationRules[i].conditions) {
+				var condition = classificationRules[i].conditions[key];
+				if (key == "referrerParams" || key == "landingParams") {
+					conditions[key] = {};
+					for (var param in condition) {
+						conditions[key][param] = serializePattern(condition[param]);
+					}
+				} else {
+					conditions[key] = serializePattern(condition);
+				}
+			}
+			for (var action in classificationRules[i].actions) {
+				actions[action] = classificationRules[i].actions[action];
+			}
+			rules.push({priority: classificationRules[i].priority, conditions: conditions, actions: actions});
+		}
+
+		return {
+			mediumKey: copyKeys(mediumKey),
+			sourceKey: copyKeys(sourceKey),
+			campaignKey: copyKeys(campaignKey),
+			keywordKey: copyKeys(keywordKey),
+			contentKey: copyKeys(contentKey),
+			trackingCodeKey: copyKeys(trackingCodeKey),
+			caseInsensitiveKeys: caseInsensitiveKeys,
+			keysFromFragment: keysFromFragment,
+			cookieName: cookieName,
+			cookieTimeout: cookieTimeout,
+			cookieMaxBytes: cookieMaxBytes,
+			fieldMaxLengths: this.getFieldMaxLengths(),
+			truncationOrder: truncationOrder.slice(0),
+			cookieDomain: cookieDomain,
+			linkerParameter: linkerParameter,
+			linkerDomains: linkerDomains.slice(0),
+			linkerTimeout: linkerTimeout,
+			firstPageOnly: firstPageOnly,
+			autoIgnoreSubdomains: autoIgnoreSubdomains,
+			mediumPriorities: mediumPriorities.slice(0),
+			protectTaggedCampaigns: protectTaggedCampaigns,
+			minOverwriteTime: minOverwriteTime,
+			notProvidedKeyword: notProvidedKeyword,
+			combinedTemplate: combinedTemplate,
+			debug: debug,
+			debugConsole: debugConsole,
+			historyCookieName: historyCookieName,
+			historyCookieTimeout: historyCookieTimeout,
+			historyCookieMaxBytes: historyCookieMaxBytes,
+			maxTouchpoints: maxTouchpoints,
+			attributionModel: attributionModel,
+			attributionLookback: attributionLookback,
+			storage: storageType,
+			storageOptions: storageOptions,
+			outputMapping: this.getOutputMapping(),
+			successEvent: successEvent,
+			directMediumName: directMediumName,
+			referralMediumName: referralMediumName,
+			organicMediumName: organicMediumName,
+			ppcMediumName: ppcMediumName,
+			displayMediumName: displayMediumName,
+			paidSocialMediumName: paidSocialMediumName,
+			socialMediumName: socialMediumName,
+			emailMediumName: emailMediumName,
+			paidSearchParameters: paidSearchParameters.slice(0),
+			ignoredReferrers: serializePatternList(ignoredReferrers),
+			ignoredSearchKeywords: serializePatternList(ignoredSearchKeywords),
+			searchKeywordGroups: keywordGroups,
+			referrerGroups: referrerGroups,
+			searchEngines: engines,
+			clickIdParameters: clickIds,
+			socialNetworks: socialNetworks,
+			webmailProviders: webmailProviders,
+			rules: rules
+		};
 	}
-	
+
 	/**
-	* Resets ALL values to their initial values.  This will overwrite: cookie timeout, cookie name, search keyword groups, referring site groups,
-	* ignored keyword lists, paid search keyword lists, direct channel names, referral channel names, organic channel names and ppc channel names.
+	* Returns the keys that were not recognized by the most recent call to {@link TrafficOrganizer#loadConfig} (including the
+	* configuration object passed to the constructor).
+	* @returns {Array} the unrecognized configuration keys.
 	*/
-	this.resetAll = function() {
-		this.resetKeys();
-		
-		cookieTimeout 			= 1800000;	// 30 minutes
-		cookieName 				= "_tsm";
-		
-		medium 					= "";
-		source					= "";
-		campaign				= "";
-		keywordGroup			= "";
-		content					= "";
-		referrer				= document.referrer;
-		referringDomain			= getDomainFromURI(referrer);
-		referringPath			= getPathFromURI(referrer);
-		
-		searchKeywordGroups 	= new Array();
-		referringSiteGroups 	= new Array();
-		ignoredReferrers		= new Array();
-		ignoredSearchKeywords 	= new Array();	
-		paidSearchParameters	= new Array();
-		
-		ignoredReferrers.push(getDomainFromURI(document.location.href.toLowerCase()));
-		
-		directMediumName 		= "Direct / Brand Aware: Typed / Bookmarked / etc";
-		referralMediumName 		= "Referrer: Organic";
-		organicMediumName		= "Search Engine: Organic";
-		ppcMediumName			= "Search Engine: Paid";
-		
-		firstPageOnly			= true;
+	this.getUnknownConfigKeys = function() {
+		return unknownConfigKeys.slice(0);
 	}
-	
+
 	/**
 	* The core function of the traffic source manager class intended to be used after an instance is initialized and configured.
 	* The logic of this function is somewhat complex: <br/>
@@ -459,37 +2203,309 @@ TrafficOrganizer = function(omniObject) {
 	*	<li>If no traffic source cookie is found, the traffic source will be classified.</li>
 	*	<li>If a traffic source cookie is found, it may be overwritten if and only if:</li>
 	*	<ol>
-	*		<li>The referrer of the current page does not match the list of ignored referrers OR </li>
-	*		<li>The medium and source query string parameters are present and have values set</li>
+	*		<li>The referrer of the current page does not match the list of ignored referrers and the session was not continued from a
+	*		valid linker parameter (see {@link TrafficOrganizer#decorate}) OR </li>
+	*		<li>The medium and source query string parameters are present and have values set OR</li>
+	*		<li>A tracking code is present (see {@link TrafficOrganizer#setTrackingCodeKey}) OR</li>
+	*		<li>An advertising click ID is present (see {@link TrafficOrganizer#addClickIdParameter})</li>
 	*	</ol>
 	* </ol>
+	* Callbacks registered with {@link TrafficOrganizer#addHook} can change the decision and the classified values.
+	* <p>
+	* Whenever the session cookie is written, the new traffic source is also appended to the touchpoint history
+	* (see {@link TrafficOrganizer#getTouchpoints}) and the attributed values are recalculated from that history
+	* (see {@link TrafficOrganizer#setAttributionModel}).
+	* <p>
+	* Finally, the output values are assigned to the Omniture variables configured with {@link TrafficOrganizer#setOutputMapping}.
 	*/
 	this.track = function() {
-		var overwrite = false;
+		var overwrite;
+		var previous;
 		
-		if (!isCookieSet()) {
-			overwrite = true;	
-		} else {
-			// Conditions for overwriting the cookie are as follows:
-			//   - If the previous referring domain is not one of our ignored referrers, overwrite
-			//   - If the medium and source query string parameters are found, overwrite
-			var src = s.getQueryParam(sourceKey);
-			var med = s.getQueryParam(mediumKey);
-			if ( 	(document.referrer != "" && inArray(referringDomain, ignoredReferrers) == -1) ||
-					(src != "" && med != "") ) {
-				overwrite = true;	
-			}
+		diagnostics = new Array();
+		truncatedFields = new Array();
+		trace("input", "referrer: \"" + referrer + "\", landing page: \"" + landingURI + "\"");
+		
+		getTouchpointsFromCookie();
+		previous = getValuesFromCookie();
+		
+		var linked = getValuesFromLinker();
+		if (linked) {
+			// Continue the session from the other domain, unless this page starts a new one
+			var current = getValues();
+			previous = linked;
+			setValues(linked);
+			saveValuesToCookie();
+			setValues(current);
 		}
 		
+		overwrite = decideOverwrite(this, previous, linked != null);
+		
 		if (overwrite) {
-			classifyTrafficSource();
-			saveValuesToCookie();
-		} else {
-			getValuesFromCookie();
+			var result = runClassification(this, previous);
+			if (!result) {
+				overwrite = false;
+			} else {
+				setValues(result);
+				saveValuesToCookie();
+				recordTouchpoint();
+				calculateAttribution();
+				trace("result", "saved medium \"" + medium + "\", source \"" + source + "\", keyword \"" + keyword + "\", keyword group \"" +
+						keywordGroup + "\", campaign \"" + campaign + "\", content \"" + content + "\" to cookie \"" + cookieName + "\"");
+			}
+		}
+		
+		if (!overwrite) {
+			if (previous) {
+				callHooks(this, "onRestored", previous);
+				setValues(previous);
+				trace("result", "restored medium \"" + medium + "\" and source \"" + source + "\" from the session cookie");
+			} else {
+				clearOutputValues();
+			}
+			calculateAttribution();
 			if (firstPageOnly) {
+				trace("result", "output values cleared as only the first page of the visit is reported");
 				clearOutputValues();
 			}
 		}
+		
+		applyOutputMapping(overwrite);
+	}
+	
+	/**
+	* Classifies a visit with the current configuration without reading or writing any cookies and without touching the Omniture
+	* <code>s</code> object or the output values, which makes it possible to test a configuration or to classify visits elsewhere.
+	* The same logic as {@link TrafficOrganizer#track} is used, including the callbacks registered with {@link TrafficOrganizer#addHook}.
+	* @param {Object} visit an object with the following properties:
+	* <ul>
+	*   <li><code>referrer</code> - the full referrer (blank for direct traffic)</li>
+	*   <li><code>landingUrl</code> - the full URL of the landing page, whose domain is treated as an ignored referrer as for
+	*   the current page in {@link TrafficOrganizer#track}</li>
+	*   <li><code>time</code> - optional, the time of the visit measured in milliseconds since the epoch (default is now)</li>
+	*   <li><code>previousState</code> - optional, the result of an earlier call for the same visitor if their session is still
+	*   active, in which case the result may continue that session instead of classifying a new traffic source.  Without it, a
+	*   linker parameter in <code>landingUrl</code> is used (see {@link TrafficOrganizer#decorate}).</li>
+	* </ul>
+	* @returns {Object} the result, with <code>medium</code>, <code>source</code>, <code>keyword</code>, <code>keywordGroup</code>,
+	* <code>campaign</code>, <code>content</code>, <code>clickId</code>, <code>clickIdParameter</code>, <code>referringDomain</code>,
+	* <code>referringPath</code>, <code>referringHostname</code>, <code>referringQuery</code>, <code>landingPath</code>,
+	* <code>landingQuery</code> and <code>classificationTime</code> properties, plus <code>overwrite</code> (whether a new traffic
+	* source was classified rather than the previous state continued) and <code>diagnostics</code> (the decision trace in debug mode).
+	*/
+	this.classify = function(visit) {
+		var savedValues = getValues();
+		var savedReferrer = referrer;
+		var savedLandingURI = landingURI;
+		var savedDiagnostics = diagnostics;
+		var savedVisitTime = visitTime;
+		var savedIgnoredReferrers = ignoredReferrers;
+		var previous = visit.previousState ? copyValues(visit.previousState) : null;
+		var result;
+		
+		try {
+			diagnostics = new Array();
+			visitTime = visit.time || 0;
+			setReferrer(visit.referrer || "");
+			landingURI = visit.landingUrl || "";
+			if (landingURI && inArray(getDomainFromURI(landingURI.toLowerCase()), ignoredReferrers) == -1) {
+				ignoredReferrers = ignoredReferrers.concat(new Array(getDomainFromURI(landingURI.toLowerCase())));
+			}
+			trace("input", "referrer: \"" + referrer + "\", landing page: \"" + landingURI + "\"");
+			
+			var linked = false;
+			if (!previous) {
+				previous = getValuesFromLinker();
+				linked = previous != null;
+			}
+			
+			var overwrite = decideOverwrite(this, previous, linked);
+			result = overwrite ? runClassification(this, previous) : null;
+			if (!result) {
+				overwrite = false;
+				result = previous ? previous : copyValues({});
+				if (previous) {
+					callHooks(this, "onRestored", result);
+				}
+			}
+			result.overwrite = overwrite;
+			result.diagnostics = this.getDiagnostics();
+		} finally {
+			diagnostics = savedDiagnostics;
+			visitTime = savedVisitTime;
+			ignoredReferrers = savedIgnoredReferrers;
+			referrer = savedReferrer;
+			landingURI = savedLandingURI;
+			setValues(savedValues);
+		}
+		
+		return result;
+	}
+	
+	/**
+	* Decides whether the current visit replaces the session described by <code>previous</code>, including the
+	* <code>onBeforeOverwrite</code> callbacks.
+	* @param {TrafficOrganizer} organizer the instance the callbacks are called on.
+	* @param {Object} previous the values of the current session, or <code>null</code> if there is no session.
+	* @param {boolean} linked true if the session was continued from the linker parameter, in which case the referrer (i.e. the
+	* other domain) does not overwrite it.
+	* @returns {boolean} true if a new traffic source should be classified.  Also sets <code>overwriteForced</code> when an
+	* <code>onBeforeOverwrite</code> callback returned <code>true</code>.
+	* @private
+	*/
+	function decideOverwrite(organizer, previous, linked) {
+		var overwrite = false;
+		
+		overwriteForced = false;
+		
+		if (!previous) {
+			trace("overwrite", "no session cookie \"" + cookieName + "\" found, classifying a new traffic source");
+			return true;
+		}
+		
+		trace("input", "session cookie found with medium \"" + previous.medium + "\" and source \"" + previous.source + "\"");
+		
+		// Conditions for overwriting the cookie are as follows:
+		//   - If the previous referring domain is not one of our ignored referrers and the session was not linked, overwrite
+		//   - If the medium and source query string parameters are found, overwrite
+		//   - If a tracking code is found, overwrite
+		//   - If an advertising click ID is found, overwrite
+		var src = findCampaignParam(sourceKey);
+		var med = findCampaignParam(mediumKey);
+		var code = findCampaignParam(trackingCodeKey);
+		if (referrer != "" && !linked && findIgnoredReferrer() == null) {
+			trace("overwrite", "referring domain \"" + referringDomain + "\" is not an ignored referrer, overwriting the session");
+			overwrite = true;
+		} else if (src && med) {
+			trace("overwrite", "tagged link (" + src.name + "=" + src.value + ", " + med.name + "=" + med.value + "), overwriting the session");
+			overwrite = true;
+		} else if (code) {
+			trace("overwrite", "tracking code (" + code.name + "=" + code.value + "), overwriting the session");
+			overwrite = true;
+		} else if (findClickId() >= 0) {
+			trace("overwrite", "click ID parameter \"" + clickIdList[findClickId()][0] + "\" found, overwriting the session");
+			overwrite = true;
+		} else if (linked) {
+			trace("overwrite", "session continued from the linker parameter, continuing the session");
+		} else {
+			trace("overwrite", referrer == "" ? "no referrer, continuing the session" :
+					"referring domain \"" + referringDomain + "\" is an ignored referrer, continuing the session");
+		}
+		
+		// The overwrite policy can keep the session even though there is a new traffic source
+		var age = getVisitTime() - previous.classificationTime;
+		if (overwrite && minOverwriteTime > 0 && previous.classificationTime && age < minOverwriteTime) {
+			trace("policy", "session classified " + age + " ms ago, less than the minimum of " + minOverwriteTime + " ms, continuing the session");
+			overwrite = false;
+		} else if (overwrite && protectTaggedCampaigns && previous.campaign && !isTaggedLink()) {
+			trace("policy", "session has the campaign \"" + previous.campaign + "\" and this is not a tagged link, continuing the session");
+			overwrite = false;
+		}
+		
+		var decision = callHooks(organizer, "onBeforeOverwrite", {overwrite: overwrite, previous: previous});
+		if (typeof(decision) == "boolean") {
+			if (decision != overwrite) {
+				trace("hook", "onBeforeOverwrite changed the decision to " + (decision ? "overwrite" : "continue") + " the session");
+			}
+			overwrite = decision;
+			overwriteForced = decision;
+		}
+		
+		return overwrite;
+	}
+	
+	/**
+	* Classifies the current visit, including the <code>onBeforeClassify</code> and <code>onClassified</code> callbacks.  The
+	* output values are left as classified; the caller decides whether to keep them.
+	* @param {TrafficOrganizer} organizer the instance the callbacks are called on.
+	* @param {Object} previous the values of the current session, or <code>null</code> if there is no session.
+	* @returns {Object} the classified values (see {@link #getValues}), or <code>null</code> if the medium ranks below the medium
+	* of the session (see {@link TrafficOrganizer#setMediumPriorities}) or a callback vetoed them.  The ranks are not compared for
+	* tagged links or if an <code>onBeforeOverwrite</code> callback forced the overwrite.
+	* @private
+	*/
+	function runClassification(organizer, previous) {
+		callHooks(organizer, "onBeforeClassify", {referrer: referrer, landingUrl: landingURI});
+		classifyTrafficSource();
+		
+		var result = getValues();
+		if (previous && !overwriteForced && !isTaggedLink() && getMediumRank(result.medium) > getMediumRank(previous.medium)) {
+			trace("policy", "medium \"" + result.medium + "\" ranks below the session's medium \"" + previous.medium + "\", continuing the session");
+			return null;
+		}
+		if (callHooks(organizer, "onClassified", result) === false) {
+			trace("hook", "onClassified vetoed the new traffic source");
+			return null;
+		}
+		return result;
+	}
+	
+	/**
+	* Returns true if the landing page is a tagged link, i.e. has both the medium and source parameters or a tracking code.
+	* @private
+	*/
+	function isTaggedLink() {
+		return (findCampaignParam(sourceKey) != null && findCampaignParam(mediumKey) != null) || findCampaignParam(trackingCodeKey) != null;
+	}
+	
+	/**
+	* Returns the time of the visit being classified: the time passed to {@link TrafficOrganizer#classify}, or now.
+	* @private
+	*/
+	function getVisitTime() {
+		return visitTime || new Date().getTime();
+	}
+	
+	/**
+	* Returns the rank of a medium in {@link TrafficOrganizer#getMediumPriorities}, where 0 is the highest priority.  Mediums which
+	* are not listed rank below all listed mediums.
+	* @private
+	*/
+	function getMediumRank(mediumName) {
+		var rank = inArray(mediumName, mediumPriorities);
+		return rank >= 0 ? rank : mediumPriorities.length;
+	}
+	
+	/**
+	* Records an entry in the decision trace when debug mode is on.
+	* @param {String} step the kind of decision (e.g. "overwrite").
+	* @param {String} message a human readable description of the decision.
+	* @private
+	*/
+	function trace(step, message) {
+		if (!debug) {
+			return;
+		}
+		diagnostics.push({step: step, message: message});
+		if (debugConsole && typeof(console) != "undefined" && console.log) {
+			console.log("TrafficOrganizer [" + step + "] " + message);
+		}
+	}
+	
+	/**
+	* Calls every callback registered for a hook.
+	* @returns the value returned by the last callback which returned a value other than <code>undefined</code>, except that
+	* <code>false</code> is returned as soon as any callback returns <code>false</code>.
+	* @private
+	*/
+	function callHooks(organizer, hookName, data) {
+		var result;
+		for (var i = 0; i < hooks[hookName].length; i++) {
+			var value;
+			try {
+				value = hooks[hookName][i].call(organizer, data);
+			} catch (e) {
+				trace("hook", hookName + " callback " + (i + 1) + " threw an error and is ignored: " + (e && e.message ? e.message : e));
+				value = undefined;
+			}
+			if (value === false) {
+				return false;
+			}
+			if (value !== undefined) {
+				result = value;
+			}
+		}
+		return result;
 	}
 	
 	/**
@@ -497,22 +2513,43 @@ TrafficOrganizer = function(omniObject) {
 	* Classification works as follows:
 	* <ol>
 	*	<li>Attempt to use query string parameters first if present</li>
-	*	<li>If query string parameters aren't present, determine if traffic is direct (no referrer)</li>
-	*	<li>If traffic is not direct, attempt to classify as search engine</li>
-	*	<li>If not search, classify using referring site groups or as a regular referrer</li>
+	*	<li>If query string parameters aren't present, use an advertising click ID if present</li>
+	*	<li>If there is no click ID, determine if traffic is direct (no referrer)</li>
+	*	<li>If traffic is not direct, attempt to classify as webmail, then as search engine</li>
+	*	<li>If not search, classify using referring site groups, social networks or as a regular referrer</li>
+	*	<li>Finally, apply the first matching custom rule (see {@link TrafficOrganizer#addRule})</li>
 	* </ol>
 	* @returns will populate a medium and source at a minimum and possibly other variables if possible.
 	* @private
 	*/
 	function classifyTrafficSource() {
-		medium = s.getQueryParam(mediumKey);
-		source = s.getQueryParam(sourceKey);
-		campaign = s.getQueryParam(campaignKey);
-		content = s.getQueryParam(contentKey);
-		keyword = s.getQueryParam(keywordKey);
+		var landing = parseURI(landingURI);
+		landingPath = landing.path;
+		landingQuery = landing.query;
+		classificationTime = getVisitTime();
+		
+		var mediumParam = findCampaignParam(mediumKey);
+		var sourceParam = findCampaignParam(sourceKey);
+		medium = mediumParam ? mediumParam.value : "";
+		source = sourceParam ? sourceParam.value : "";
+		campaign = getCampaignParam(campaignKey);
+		content = getCampaignParam(contentKey);
+		keyword = getCampaignParam(keywordKey);
 		keywordGroup = "";
 		
-		if (source == "" || medium == "") {
+		var clickIdIndex = findClickId();
+		if (clickIdIndex >= 0) {
+			clickIdParameter = clickIdList[clickIdIndex][0];
+			clickId = getLandingParam(clickIdParameter);
+			trace("clickId", "click ID parameter \"" + clickIdParameter + "\" found");
+		} else {
+			clickIdParameter = "";
+			clickId = "";
+		}
+		
+		if (source != "" && medium != "") {
+			trace("tagged", "tagged link (" + sourceParam.name + "=" + source + ", " + mediumParam.name + "=" + medium + ")");
+		} else {
 			medium = "";
 			source = "";
 			campaign = "";
@@ -520,19 +2557,227 @@ TrafficOrganizer = function(omniObject) {
 			keyword = "";
 			keywordGroup = "";
 			
-			// Link is not tagged check to see if direct
-			if (referrer == "") {
+			if (clickIdIndex >= 0) {
+				// Paid click, the search engine check only picks up the keyword (if any)
+				if (referrer != "") {
+					checkSearchEngine();
+				}
+				medium = getClickIdMediumName(clickIdList[clickIdIndex][2]);
+				source = clickIdList[clickIdIndex][1];
+			} else if (referrer == "") {
+				// Link is not tagged check to see if direct
+				trace("direct", "no referrer, classified as direct");
 				medium = directMediumName;
 				source = "(none)";
 			} else {
-				if (!checkSearchEngine()) {
-					if (!checkReferringSiteGroups()) {
+				if (!checkIgnoredReferrers() && !checkWebmailProviders() && !checkSearchEngine()) {
+					if (!checkReferringSiteGroups() && !checkSocialNetworks()) {
+						trace("referral", "no engine, group or network matched \"" + referringDomain + "\", classified as a referral");
 						medium = referralMediumName;
 						source = referringDomain;	
 					}
 				}
 			}
 		} 
+		
+		if (!campaign) {
+			var trackingCode = findCampaignParam(trackingCodeKey);
+			if (trackingCode) {
+				trace("trackingCode", "tracking code (" + trackingCode.name + "=" + trackingCode.value + ") used as the campaign");
+				campaign = trackingCode.value;
+			}
+		}
+		
+		applyRules();
+	}
+	
+	/**
+	* Applies the actions of the first custom classification rule whose conditions all match.
+	* @returns {boolean} true if a rule was applied, false otherwise.
+	* @private
+	*/
+	function applyRules() {
+		if (classificationRules.length == 0) {
+			return false;
+		}
+		
+		var referrerURI = parseURI(referrer);
+		var landing = parseURI(landingURI);
+		
+		for (var i = 0; i < classificationRules.length; i++) {
+			if (ruleMatches(classificationRules[i].conditions, referrerURI, landing)) {
+				trace("rule", "rule " + (i + 1) + " of " + classificationRules.length + " (priority " + classificationRules[i].priority + ") matched");
+				var actions = classificationRules[i].actions;
+				var values = {};
+				var key;
+				// Format every action before assigning any of them so that all actions see the same values
+				for (key in actions) {
+					if (actions.hasOwnProperty(key)) {
+						values[key] = formatString(actions[key]);
+					}
+				}
+				for (key in values) {
+					switch(key) {
+						case "medium" : medium = values[key]; break;
+						case "source" : source = values[key]; break;
+						case "campaign" : campaign = values[key]; break;
+						case "content" : content = values[key]; break;
+						case "keyword" : keyword = values[key]; break;
+						case "keywordGroup" : keywordGroup = values[key]; break;
+					}
+				}
+				return true;
+			}
+		}
+		return false;
+	}
+	
+	/**
+	* Determines whether every condition of a custom classification rule matches.  Unknown conditions never match.
+	* @private
+	*/
+	function ruleMatches(conditions, referrerURI, landing) {
+		for (var key in conditions) {
+			if (!conditions.hasOwnProperty(key)) continue;
+			var condition = conditions[key];
+			var value;
+			
+			if (key == "referrerParams" || key == "landingParams") {
+				var query = key == "referrerParams" ? referrerURI.query : landing.query;
+				for (var param in condition) {
+					if (condition.hasOwnProperty(param) && !patternMatches(getQueryValue(query, param), condition[param])) {
+						return false;
+					}
+				}
+				continue;
+			}
+			
+			switch(key) {
+				case "referrerHost" : value = referrerURI.hostname; break;
+				case "referrerPath" : value = referrerURI.path; break;
+				case "referrerQuery" : value = referrerURI.query; break;
+				case "landingPath" : value = landing.path; break;
+				case "landingQuery" : value = landing.query; break;
+				case "medium" : value = medium; break;
+				case "source" : value = source; break;
+				case "campaign" : value = campaign; break;
+				case "content" : value = content; break;
+				case "keyword" : value = keyword; break;
+				case "keywordGroup" : value = keywordGroup; break;
+				default : return false;
+			}
+			
+			if (!patternMatches(value || "", condition)) {
+				return false;
+			}
+		}
+		return true;
+	}
+	
+	/**
+	* Returns the output value with the given name as used by {@link TrafficOrganizer#setOutputMapping}.
+	* @returns {String} the value, or <code>null</code> if there is no output value with this name.
+	* @private
+	*/
+	function getOutputValue(name) {
+		switch(name) {
+			case "medium" : return medium;
+			case "source" : return source;
+			case "keyword" : return keyword;
+			case "keywordGroup" : return keywordGroup;
+			case "content" : return content;
+			case "campaign" : return campaign;
+			case "referringDomain" : return referringDomain;
+			case "referringPath" : return referringPath;
+			case "referringHostname" : return referringHostname;
+			case "referringRegistrableDomain" : return getRegistrableDomain(referringHostname);
+			case "referringSubdomain" : return getSubdomain(referringHostname);
+			case "referringQuery" : return referringQuery;
+			case "landingPage" : return landingPath + (landingQuery ? "?" + landingQuery : "");
+			case "landingPath" : return landingPath;
+			case "landingQuery" : return landingQuery;
+			case "combined" : return medium ? formatString(combinedTemplate) : "";
+			case "clickId" : return clickId;
+			case "clickIdParameter" : return clickIdParameter;
+			case "attributedMedium" : return attributedMedium;
+			case "attributedSource" : return attributedSource;
+			case "attributedCampaign" : return attributedCampaign;
+			case "attributedKeyword" : return attributedKeyword;
+		}
+		return null;
+	}
+	
+	/**
+	* Assigns the output values to the mapped Omniture variables and fires the success event if a new traffic source was recorded.
+	* @param {boolean} newTrafficSource whether {@link TrafficOrganizer#track} recorded a new traffic source.
+	* @private
+	*/
+	function applyOutputMapping(newTrafficSource) {
+		if (!s) {
+			return;
+		}
+		
+		for (var key in outputMapping) {
+			if (!outputMapping.hasOwnProperty(key)) continue;
+			var value = getOutputValue(key);
+			for (var i = 0; i < outputMapping[key].length; i++) {
+				if (value) {
+					s[outputMapping[key][i]] = value;
+				}
+				s.linkTrackVars = appendToList(s.linkTrackVars, outputMapping[key][i]);
+			}
+		}
+		
+		if (newTrafficSource && successEvent) {
+			s.events = appendToList(s.events, successEvent);
+			s.linkTrackEvents = appendToList(s.linkTrackEvents, successEvent);
+			s.linkTrackVars = appendToList(s.linkTrackVars, "events");
+		}
+	}
+	
+	/**
+	* Adds a value to a comma-separated Omniture list (e.g. s.events or s.linkTrackVars) unless it is already present.
+	* A list of "None" is treated as empty.
+	* @private
+	*/
+	function appendToList(list, value) {
+		if (!list || list == "None") {
+			return value;
+		}
+		var values = list.split(",");
+		for (var i = 0; i < values.length; i++) {
+			if (values[i] == value) {
+				return list;
+			}
+		}
+		return list + "," + value;
+	}
+	
+	/**
+	* Returns the index of the first click ID parameter in the click ID list which is present on the landing page.
+	* @returns {int} the index of the click ID parameter, -1 if no click ID is present.
+	* @private
+	*/
+	function findClickId() {
+		for (var i = 0; i < clickIdList.length; i++) {
+			if (getLandingParam(clickIdList[i][0]) != "") {
+				return i;
+			}
+		}
+		return -1;
+	}
+	
+	/**
+	* Resolves the medium type of a click ID ("search", "display" or "social") to the configured medium name.
+	* @private
+	*/
+	function getClickIdMediumName(mediumType) {
+		switch(mediumType) {
+			case "search" : return ppcMediumName;
+			case "display" : return displayMediumName;
+			case "social" : return paidSocialMediumName;
+		}
+		return mediumType;
 	}
 	
 	/**
@@ -548,6 +2793,17 @@ TrafficOrganizer = function(omniObject) {
 		keywordGroup = "";
 		referringDomain = "";
 		referringPath = "";
+		referringHostname = "";
+		referringQuery = "";
+		landingPath = "";
+		landingQuery = "";
+		classificationTime = 0;
+		clickId = "";
+		clickIdParameter = "";
+		attributedMedium = "";
+		attributedSource = "";
+		attributedCampaign = "";
+		attributedKeyword = "";
 	}
 	
 	/**
@@ -556,20 +2812,113 @@ TrafficOrganizer = function(omniObject) {
 	*/	
 	function checkReferringSiteGroups() {
 		
-		if (inArray(referringDomain, ignoredReferrers) >= 0) {
+		for (var i = 0; i < referringSiteGroups.length; i++) {
+			if( inArray(referringDomain, referringSiteGroups[i][0]) >= 0) {
+				trace("referrerGroup", "referring domain \"" + referringDomain + "\" matched referrer group \"" + referringSiteGroups[i][0] + "\"");
+				medium = referringSiteGroups[i][1];
+				source = formatString(referringSiteGroups[i][2]);
+				return true;
+			}
+		}
+		
+		return false;
+	}
+	
+	/**
+	* Checks whether the active referrer is an ignored referrer and, if so, classifies the visit as direct.  Ignored referrers are
+	* checked before webmail providers and search engines so that e.g. accounts.google.com is not taken for Google search.
+	* @returns {boolean} true if the referrer is ignored, false otherwise.
+	* @private
+	*/
+	function checkIgnoredReferrers() {
+		var ignored = findIgnoredReferrer();
+		if (ignored != null) {
+			trace("ignoredReferrer", "referring domain \"" + referringDomain + "\" matched ignored referrer \"" + ignored + "\", classified as direct");
 			medium = directMediumName;
 			source = referringDomain;
 			return true;
 		}
-		
-		for (var i = 0; i < referringSiteGroups.length; i++) {
-			if( inArray(referringDomain, referringSiteGroups[i][0]) >= 0) {
-				medium = referringSiteGroups[i][1];
-				source = formatString(referringSiteGroups[i][2]);
+		return false;
+	}
+	
+	/**
+	* Returns true if a URI points to a linker domain other than the current host.
+	* @private
+	*/
+	function isLinkerURI(uri) {
+		var host = parseURI(uri).hostname;
+		if (!host || host == parseURI(landingURI).hostname) {
+			return false;
+		}
+		for (var i = 0; i < linkerDomains.length; i++) {
+			if (hostMatches(host, linkerDomains[i])) {
+				return true;
+			}
+		}
+		return false;
+	}
+	
+	/**
+	* Returns the ignored referrer or linker domain matching the active referrer, or <code>null</code> if there is none.
+	* @private
+	*/
+	function findIgnoredReferrer() {
+		var i;
+		
+		for (i = 0; i < ignoredReferrers.length; i++) {
+			var pattern = ignoredReferrers[i];
+			if (pattern.test ? pattern.test(referringDomain) :
+					(pattern.indexOf("*.") == 0 ? referringHostname && hostMatches(referringHostname, pattern) : pattern === referringDomain)) {
+				return pattern;
+			}
+		}
+		
+		if (autoIgnoreSubdomains) {
+			var siteDomain = getRegistrableDomain(parseURI(landingURI).hostname);
+			if (siteDomain && referringHostname && hostMatches(referringHostname, siteDomain)) {
+				return "*." + siteDomain;
+			}
+		}
+		
+		for (i = 0; referringHostname && i < linkerDomains.length; i++) {
+			if (hostMatches(referringHostname, linkerDomains[i])) {
+				return linkerDomains[i];
+			}
+		}
+		return null;
+	}
+	
+	/**
+	* Checks to determine whether the active referrer is a webmail provider and populates the medium and source.
+	* @returns {boolean} true if the referrer is a webmail provider, false otherwise.
+	* @private
+	*/
+	function checkWebmailProviders() {
+		for (var i = 0; i < webmailProviderList.length; i++) {
+			if (hostMatches(referringDomain, webmailProviderList[i][0])) {
+				trace("webmail", "referring domain \"" + referringDomain + "\" matched webmail provider \"" + webmailProviderList[i][0] + "\"");
+				medium = emailMediumName;
+				source = webmailProviderList[i][1];
+				return true;
+			}
+		}
+		return false;
+	}
+	
+	/**
+	* Checks to determine whether the active referrer is a social network and populates the medium and source.
+	* @returns {boolean} true if the referrer is a social network, false otherwise.
+	* @private
+	*/
+	function checkSocialNetworks() {
+		for (var i = 0; i < socialNetworkList.length; i++) {
+			if (hostMatches(referringDomain, socialNetworkList[i][0])) {
+				trace("socialNetwork", "referring domain \"" + referringDomain + "\" matched social network \"" + socialNetworkList[i][0] + "\"");
+				medium = socialMediumName;
+				source = socialNetworkList[i][1];
 				return true;
 			}
 		}
-		
 		return false;
 	}
 	
@@ -588,21 +2937,29 @@ TrafficOrganizer = function(omniObject) {
 		var engineFound = false;
 		
 		for (var i = 0; (i < searchEngineList.length) && !engineFound; i++) {
-			if (referringDomain.indexOf(searchEngineList[i][0]) >= 0) {
+			if (searchEngineMatches(searchEngineList[i])) {
 				engineFound = true;
+				trace("searchEngine", "referring domain \"" + referringDomain + "\" matched search engine \"" + searchEngineList[i][0] +
+						"\" (" + (searchEngineList[i][3] == "host" ? "host" : "substring") + " matching)");
 				
 				// Need to check for paid search
 				var isPaid = false;
 				for (var j = 0; (j < paidSearchParameters.length) && !isPaid; j++) {
-					if (s.getQueryParam(paidSearchParameters[j]) != "") {
+					if (getLandingParam(paidSearchParameters[j]) != "") {
+						trace("searchEngine", "paid search parameter \"" + paidSearchParameters[j] + "\" found");
 						isPaid = true;
 					} 
 				}
 				
 				medium = isPaid ? ppcMediumName : organicMediumName;
 				source = searchEngineList[i][2];
-				keyword = s.getQueryParam(searchEngineList[i][1],'',referrer).toLowerCase();
-				keyword = keyword.toLowerCase();
+				keyword = getSearchKeyword(searchEngineList[i][1]).toLowerCase();
+				
+				if (keyword == "") {
+					trace("searchEngine", "no keyword in \"" + searchEngineList[i][1] + "\", keyword not provided");
+					keyword = notProvidedKeyword;
+					continue;
+				}
 				
 				var ignoredKeywordFound = false;
 				for (var j = 0; (j < ignoredSearchKeywords.length) && !ignoredKeywordFound && !isPaid; j++) {
@@ -611,6 +2968,9 @@ TrafficOrganizer = function(omniObject) {
 					} else if (typeof(ignoredSearchKeywords[j]) == "object" && ignoredSearchKeywords[j].test) {
 						ignoredKeywordFound = ignoredSearchKeywords[j].test(keyword);	
 					}
+					if (ignoredKeywordFound) {
+						trace("ignoredKeyword", "keyword \"" + keyword + "\" matched ignored keyword \"" + ignoredSearchKeywords[j] + "\", classified as direct");
+					}
 				}
 				if (ignoredKeywordFound && !isPaid) medium = directMediumName;
 					
@@ -622,7 +2982,10 @@ TrafficOrganizer = function(omniObject) {
 						} else if (typeof(searchKeywordGroups[j][0]) == "object" && searchKeywordGroups[j][0].test) {
 							groupFound = searchKeywordGroups[j][0].test(keyword);	
 						}
-						if (groupFound) keywordGroup = searchKeywordGroups[j][1];
+						if (groupFound) {
+							trace("keywordGroup", "keyword \"" + keyword + "\" matched keyword group \"" + searchKeywordGroups[j][1] + "\"");
+							keywordGroup = searchKeywordGroups[j][1];
+						}
 					}
 				} else {
 					keywordGroup = "Brand Aware Keywords / Direct Traffic";
@@ -634,193 +2997,941 @@ TrafficOrganizer = function(omniObject) {
 	}
 	
 	/**
-	*
+	* Splits an absolute URI into its components.  Every component is a blank value (i.e. "") when the URI is blank or not absolute.
+	* @param {String} uri the URI to parse (e.g. "http://user@www.somesite.co.uk:8080/path/page.html?a=1#top").
+	* @returns {Object} an object with the following properties:
+	* <ul>
+	*   <li><code>protocol</code> - "http"</li>
+	*   <li><code>hostname</code> - "www.somesite.co.uk" (always lower case)</li>
+	*   <li><code>domain</code> - "somesite.co.uk" (the registrable domain)</li>
+	*   <li><code>subdomain</code> - "www"</li>
+	*   <li><code>port</code> - "8080"</li>
+	*   <li><code>path</code> - "/path/page.html" ("/" if the URI has no path)</li>
+	*   <li><code>query</code> - "a=1" (without the leading "?")</li>
+	*   <li><code>fragment</code> - "top" (without the leading "#")</li>
+	* </ul>
+	* @private
+	*/
+	function parseURI(uri) {
+		var result = {protocol: "", hostname: "", domain: "", subdomain: "", port: "", path: "", query: "", fragment: ""};
+		var parts = uri ? /^([a-z][a-z0-9+.\-]*):\/\/([^\/?#]*)([^?#]*)(\?[^#]*)?(#.*)?$/i.exec(uri) : null;
+		
+		if (!parts) {
+			return result;
+		}
+		
+		var host = parts[2];
+		if (host.indexOf("@") >= 0) {
+			host = host.substring(host.lastIndexOf("@") + 1);
+		}
+		var portBegin = host.lastIndexOf(":");
+		if (portBegin >= 0 && portBegin > host.lastIndexOf("]")) {
+			result.port = host.substring(portBegin + 1);
+			host = host.substring(0, portBegin);
+		}
+		
+		result.protocol = parts[1].toLowerCase();
+		result.hostname = host.toLowerCase();
+		result.domain = getRegistrableDomain(result.hostname);
+		result.subdomain = getSubdomain(result.hostname);
+		result.path = parts[3] || "/";
+		result.query = parts[4] ? parts[4].substring(1) : "";
+		result.fragment = parts[5] ? parts[5].substring(1) : "";
+		
+		return result;
+	}
+	
+	/**
+	* Returns the registrable domain of a hostname, i.e. the name directly below the public suffix ("somesite.com" for
+	* "www.somesite.com", "somesite.co.uk" for "news.somesite.co.uk").  Country code second-level domains such as "co.uk" or
+	* "com.au" are recognized by their common names; IP addresses are returned unchanged.
+	* @private
+	*/
+	function getRegistrableDomain(hostname) {
+		if (!hostname || /^[0-9.]+$/.test(hostname) || hostname.indexOf("[") == 0) {
+			return hostname || "";
+		}
+		
+		var labels = hostname.split(".");
+		var count = 2;
+		if (labels.length > 2 && labels[labels.length - 1].length == 2 &&
+				/^(co|com|org|net|edu|gov|ac|or|ne|go|ltd|plc|gob|nic)$/.test(labels[labels.length - 2])) {
+			count = 3;
+		}
+		return labels.slice(Math.max(labels.length - count, 0)).join(".");
+	}
+	
+	/**
+	* Returns the part of a hostname in front of its registrable domain ("news" for "news.somesite.co.uk").
+	* @private
+	*/
+	function getSubdomain(hostname) {
+		var domain = getRegistrableDomain(hostname);
+		return hostname && hostname.length > domain.length ? hostname.substring(0, hostname.length - domain.length - 1) : "";
+	}
+	
+	/**
+	* Returns the hostname of a URI without the port and without a leading "www.".
 	* @private
 	*/
 	function getDomainFromURI(uri) {
-		var rd = "";
+		return parseURI(uri).hostname.replace(/^www\./, "");
+	}
+	
+	/**
+	*
+	* @private
+	*/	
+	function formatString(string) {
+		// All parameters are replaced in a single pass so that values containing "%" are never formatted again.
+		// Longer parameters come first so that e.g. %rd is not read as %r followed by "d".
+		return string.replace(/\%(q\{[^}]*\}|rq\{[^}]*\}|d\{[^}]*\}|rrd|rsd|rd|rp|rh|rq|r|lp|lq|m|s|cp|c|kg|k)/g, function(match, token) {
+			var argument = token.indexOf("{") >= 0 ? token.substring(token.indexOf("{") + 1, token.length - 1) : "";
+			
+			switch(token.indexOf("{") >= 0 ? token.substring(0, token.indexOf("{")) : token) {
+				case "q" : return getQueryValue(landingQuery, argument);
+				case "rq" : return argument ? getQueryValue(referringQuery, argument) : referringQuery;
+				case "d" : return classificationTime ? formatDate(new Date(classificationTime), argument) : "";
+				case "rrd" : return getRegistrableDomain(referringHostname);
+				case "rsd" : return getSubdomain(referringHostname);
+				case "rd" : return referringDomain;
+				case "rp" : return referringPath;
+				case "rh" : return referringHostname;
+				case "r" : return referrer;
+				case "lp" : return landingPath;
+				case "lq" : return landingQuery;
+				case "m" : return medium;
+				case "s" : return source;
+				case "cp" : return campaign;
+				case "c" : return content;
+				case "kg" : return keywordGroup;
+				case "k" : return keyword;
+			}
+			return match;
+		});
+	}
+	
+	/**
+	* Formats a date using yyyy, yy, mm, dd, hh, mi and ss placeholders (e.g. "yyyy-mm-dd").
+	* @private
+	*/
+	function formatDate(date, format) {
+		function pad(number) {
+			return (number < 10 ? "0" : "") + number;
+		}
+		
+		return format.replace(/yyyy|yy|mm|dd|hh|mi|ss/g, function(part) {
+			switch(part) {
+				case "yyyy" : return String(date.getFullYear());
+				case "yy" : return String(date.getFullYear()).substring(2);
+				case "mm" : return pad(date.getMonth() + 1);
+				case "dd" : return pad(date.getDate());
+				case "hh" : return pad(date.getHours());
+				case "mi" : return pad(date.getMinutes());
+				case "ss" : return pad(date.getSeconds());
+			}
+			return part;
+		});
+	}
+
+	/**
+	* Reads the values stored in the session cookie.
+	* @returns {Object} the stored values (see {@link #getValues}), or <code>null</code> if the session cookie is not set.
+	* @private
+	*/
+	function getValuesFromCookie() {
+		var str = storage.read(cookieName);
+		
+		if (!str) {
+			return null;
+		}
+		
+		var fields = parseCookie(str, "|");
+		if (!fields || fields.length != 1 || !fields[0].hasOwnProperty("m")) {
+			trace("cookie", "session cookie \"" + cookieName + "\" could not be read and is ignored");
+			return null;
+		}
+		return getValuesFromFields(fields[0]);
+	}
+	
+	/**
+	* Reads the values carried by the linker parameter of the landing page (see {@link TrafficOrganizer#decorate}).
+	* @returns {Object} the values (see {@link #getValues}), or <code>null</code> if the parameter is absent, corrupted or expired.
+	* @private
+	*/
+	function getValuesFromLinker() {
+		var str = linkerParameter ? getLandingParam(linkerParameter) : "";
+		
+		if (!str) {
+			return null;
+		}
+		
+		var fields = parseCookie(str, "|");
+		if (!fields || fields.length != 1 || !fields[0].hasOwnProperty("m") || !fields[0].hasOwnProperty("lt")) {
+			trace("linker", "linker parameter \"" + linkerParameter + "\" could not be read and is ignored");
+			return null;
+		}
+		
+		var age = getVisitTime() - (parseInt(fields[0].lt, 10) || 0);
+		if (age > linkerTimeout || age < -linkerTimeout) {
+			trace("linker", "linker parameter \"" + linkerParameter + "\" has expired and is ignored");
+			return null;
+		}
+		
+		trace("linker", "session with medium \"" + fields[0].m + "\" and source \"" + fields[0].s + "\" continued from linker parameter \"" +
+				linkerParameter + "\"");
+		return getValuesFromFields(fields[0]);
+	}
+	
+	/**
+	* Returns the current session cookie with a timestamp, as carried by the linker parameter, or a blank value (i.e. "") if
+	* there is no session.
+	* @private
+	*/
+	function getLinkerValue() {
+		var str = storage.read(cookieName);
+		var fields = str ? parseCookie(str, "|") : null;
+		
+		if (!fields || fields.length != 1 || !fields[0].hasOwnProperty("m")) {
+			return "";
+		}
+		
+		var pairs = new Array();
+		for (var key in fields[0]) {
+			if (fields[0].hasOwnProperty(key) && key != "lt") {
+				pairs.push([key, fields[0][key]]);
+			}
+		}
+		pairs.push(["lt", new Date().getTime()]);
+		return serializeCookie(new Array(pairs), "|");
+	}
+	
+	/**
+	* Converts the fields of a session cookie into values.
+	* @param {Object} fields the decoded fields keyed by their cookie keys (e.g. <code>{m: ..., s: ...}</code>).
+	* @returns {Object} the values (see {@link #getValues}).
+	* @private
+	*/
+	function getValuesFromFields(fields) {
+		var values = copyValues({});
+		
+		for (var key in fields) {
+			if (!fields.hasOwnProperty(key)) continue;
+			var value = fields[key];
+			
+			switch(key) {
+				case "m" :
+				values.medium = value;
+				break;
+				
+				case "s" :
+				values.source = value;
+				break;
+				
+				case "k" :
+				values.keyword = value;
+				break;
+				
+				case "kg" :
+				values.keywordGroup = value;
+				break;
+				
+				case "c" :
+				values.content = value;
+				break;
+				
+				case "cp" :
+				values.campaign = value;
+				break;
+				
+				case "rp" :
+				values.referringPath = value;
+				break;
+				
+				case "rd" :
+				values.referringDomain = value;
+				break;
+				
+				case "rh" :
+				values.referringHostname = value;
+				break;
+				
+				case "rq" :
+				values.referringQuery = value;
+				break;
+				
+				case "lp" :
+				values.landingPath = value;
+				break;
+				
+				case "lq" :
+				values.landingQuery = value;
+				break;
+				
+				case "t" :
+				values.classificationTime = parseInt(value, 10) || 0;
+				break;
+				
+				case "ci" :
+				values.clickId = value;
+				break;
+				
+				case "cip" :
+				values.clickIdParameter = value;
+				break;
+			}
+		}
+		return values;
+	}
+	
+	/**
+	* Returns the current output values as an object with <code>medium</code>, <code>source</code>, <code>keyword</code>,
+	* <code>keywordGroup</code>, <code>content</code>, <code>campaign</code>, <code>referringPath</code>, <code>referringDomain</code>,
+	* <code>referringHostname</code>, <code>referringQuery</code>, <code>landingPath</code>, <code>landingQuery</code>,
+	* <code>classificationTime</code>, <code>clickId</code> and <code>clickIdParameter</code> properties.
+	* @private
+	*/
+	function getValues() {
+		return {
+			medium: medium,
+			source: source,
+			keyword: keyword,
+			keywordGroup: keywordGroup,
+			content: content,
+			campaign: campaign,
+			referringPath: referringPath,
+			referringDomain: referringDomain,
+			referringHostname: referringHostname,
+			referringQuery: referringQuery,
+			landingPath: landingPath,
+			landingQuery: landingQuery,
+			classificationTime: classificationTime,
+			clickId: clickId,
+			clickIdParameter: clickIdParameter
+		};
+	}
+	
+	/**
+	* Copies the properties returned by {@link #getValues} from an object, using blank values for any missing property.
+	* @private
+	*/
+	function copyValues(values) {
+		var result = getValues();
+		for (var key in result) {
+			if (result.hasOwnProperty(key)) {
+				result[key] = values.hasOwnProperty(key) ? values[key] : (key == "classificationTime" ? 0 : "");
+			}
+		}
+		return result;
+	}
+	
+	/**
+	* Replaces the current output values with the properties of an object returned by {@link #getValues}.
+	* @private
+	*/
+	function setValues(values) {
+		medium = values.medium;
+		source = values.source;
+		keyword = values.keyword;
+		keywordGroup = values.keywordGroup;
+		content = values.content;
+		campaign = values.campaign;
+		referringPath = values.referringPath;
+		referringDomain = values.referringDomain;
+		referringHostname = values.referringHostname;
+		referringQuery = values.referringQuery;
+		landingPath = values.landingPath;
+		landingQuery = values.landingQuery;
+		classificationTime = values.classificationTime;
+		clickId = values.clickId;
+		clickIdParameter = values.clickIdParameter;
+	}
+	
+	/**
+	*
+	* @private
+	*/	
+	function saveValuesToCookie() {
+		var fields = new Array(["m", medium, "medium"], ["s", source, "source"]);
+		
+		if (keyword) {
+			fields.push(["k", keyword, "keyword"]);
+		}
+		
+		if (keywordGroup) {
+			fields.push(["kg", keywordGroup, "keywordGroup"]);
+		}
+		
+		if (content) {
+			fields.push(["c", content, "content"]);
+		}
+		
+		if (campaign) {
+			fields.push(["cp", campaign, "campaign"]);
+		}
+		
+		/*
+		if (referrer) {
+			fields.push(["r", referrer, "referrer"]);
+		}
+		*/
+		
+		if(referringPath) {
+			fields.push(["rp", referringPath, "referringPath"]);
+		}
+		
+		if (referringDomain) {
+			fields.push(["rd", referringDomain, "referringDomain"]);
+		}
+		
+		if (referringHostname) {
+			fields.push(["rh", referringHostname, "referringHostname"]);
+		}
+		
+		if (referringQuery) {
+			fields.push(["rq", referringQuery, "referringQuery"]);
+		}
+		
+		if (landingPath) {
+			fields.push(["lp", landingPath, "landingPath"]);
+		}
+		
+		if (landingQuery) {
+			fields.push(["lq", landingQuery, "landingQuery"]);
+		}
+		
+		if (classificationTime) {
+			fields.push(["t", classificationTime, "classificationTime"]);
+		}
 		
-		if (uri) {
-			var domainBegin = uri.indexOf("//");
-			var domainEnd = uri.indexOf("/", domainBegin+2);
-			rd = uri.substring(domainBegin+2, domainEnd);
-			rd = rd.replace("www.","");
+		if (clickId) {
+			fields.push(["ci", clickId, "clickId"]);
+			fields.push(["cip", clickIdParameter, "clickIdParameter"]);
 		}
 		
-		return rd;
+		var str = serializeCookie(new Array(fitCookieFields(fields)), "|");
+		
+		var d = new Date();
+		// Delete the current cookie
+		d.setTime(d.getTime() - 1*24*60*60*1000);
+		storage.write(cookieName, "", d);
+		d = new Date();
+		// Now write the cookie value again
+		d.setTime(d.getTime() + cookieTimeout);
+		storage.write(cookieName, str, d);
+		//setCookie(cookieName, str, cookieTimeout);
 	}
 	
 	/**
+	* Shortens the fields of the session cookie to their maximum lengths and, if the cookie still exceeds
+	* {@link TrafficOrganizer#getCookieMaxBytes}, truncates or omits fields in the truncation order until it fits.  Every change is
+	* recorded for {@link TrafficOrganizer#getTruncatedFields}.
+	* @param {Array} fields the fields as <code>[key, value, name]</code> arrays, which are changed in place.
+	* @returns {Array} the fields which are kept.
 	* @private
 	*/
-	function getPathFromURI(uri) {
-		var path = "";
+	function fitCookieFields(fields) {
+		var i, j;
+		
+		for (i = 0; i < fields.length; i++) {
+			var maxLength = fieldMaxLengths.hasOwnProperty(fields[i][2]) ? fieldMaxLengths[fields[i][2]] : 0;
+			if (maxLength > 0 && typeof(fields[i][1]) == "string" && fields[i][1].length > maxLength) {
+				recordTruncation(fields[i][2], "truncated", fields[i][1].length, maxLength);
+				fields[i][1] = truncateValue(fields[i][1], maxLength);
+			}
+		}
 		
-		if (uri) {
-			var pathBegin = uri.indexOf("//");
-			pathBegin = uri.indexOf("/", pathBegin+2);
-			var pathEnd = uri.indexOf("?", pathBegin) >= 0 ? uri.indexOf("?", pathBegin) : uri.length;
+		for (i = 0; i < truncationOrder.length && !cookieFits(fields); i++) {
+			j = findCookieField(fields, truncationOrder[i]);
+			if (j < 0) {
+				continue;
+			}
+			
+			// Keep the longest prefix of the value that fits
+			var value = String(fields[j][1]);
+			var low = 0;
+			var high = value.length;
+			while (low < high) {
+				var middle = Math.ceil((low + high) / 2);
+				fields[j][1] = truncateValue(value, middle);
+				if (cookieFits(fields)) {
+					low = middle;
+				} else {
+					high = middle - 1;
+				}
+			}
 			
-			path = uri.substring(pathBegin, pathEnd);
+			if (low > 0) {
+				fields[j][1] = truncateValue(value, low);
+				recordTruncation(fields[j][2], "truncated", value.length, fields[j][1].length);
+			} else {
+				recordTruncation(fields[j][2], "omitted", value.length, 0);
+				fields.splice(j, 1);
+				if (truncationOrder[i] == "clickId" && findCookieField(fields, "clickIdParameter") >= 0) {
+					fields.splice(findCookieField(fields, "clickIdParameter"), 1);
+				}
+			}
+		}
+		
+		if (!cookieFits(fields)) {
+			trace("cookie", "session cookie \"" + cookieName + "\" exceeds " + cookieMaxBytes + " bytes after truncation");
+		}
+		return fields;
+	}
+	
+	/**
+	* Returns the index of the field with the given value name, or -1 if it is not present.
+	* @private
+	*/
+	function findCookieField(fields, name) {
+		for (var i = 0; i < fields.length; i++) {
+			if (fields[i][2] == name) {
+				return i;
+			}
+		}
+		return -1;
+	}
+	
+	/**
+	* Returns true if the fields serialize within {@link TrafficOrganizer#getCookieMaxBytes}.
+	* @private
+	*/
+	function cookieFits(fields) {
+		return cookieMaxBytes <= 0 || getStoredSize(serializeCookie(new Array(fields), "|")) <= cookieMaxBytes;
+	}
+	
+	/**
+	* Returns the number of bytes the storage backend writes for a cookie value, including any escaping it applies.
+	* @private
+	*/
+	function getStoredSize(value) {
+		return typeof(storage.size) == "function" ? storage.size(value) : value.length;
+	}
+	
+	/**
+	* Returns the first <code>length</code> characters of a value without splitting a surrogate pair.
+	* @private
+	*/
+	function truncateValue(value, length) {
+		var code = value.charCodeAt(length - 1);
+		if (length < value.length && code >= 0xD800 && code <= 0xDBFF) {
+			length--;
+		}
+		return value.substring(0, length);
+	}
+	
+	/**
+	* Records a field shortened by {@link #fitCookieFields}, keeping the original length of a field shortened twice.
+	* @private
+	*/
+	function recordTruncation(field, action, originalLength, length) {
+		trace("cookie", "\"" + field + "\" " + (action == "truncated" ? "truncated from " + originalLength + " to " + length + " characters" :
+				"omitted") + " in the session cookie");
+		
+		for (var i = 0; i < truncatedFields.length; i++) {
+			if (truncatedFields[i].field == field) {
+				truncatedFields[i].action = action;
+				truncatedFields[i].length = length;
+				return;
+			}
+		}
+		truncatedFields.push({field: field, action: action, originalLength: originalLength, length: length});
+	}
+	
+	/**
+	* Appends the current classification to the touchpoint history, discarding the oldest entries beyond
+	* {@link TrafficOrganizer#getMaxTouchpoints}, and saves the history cookie.
+	* @private
+	*/
+	function recordTouchpoint() {
+		if (maxTouchpoints <= 0) {
+			return;
+		}
+		
+		touchpoints.push({
+			medium: medium,
+			source: source,
+			campaign: campaign,
+			keyword: keyword,
+			timestamp: new Date().getTime()
+		});
+		while (touchpoints.length > maxTouchpoints) {
+			// Always keep the very first touchpoint for first touch attribution
+			touchpoints.splice(maxTouchpoints > 1 ? 1 : 0, 1);
+		}
+		
+		saveTouchpointsToCookie();
+	}
+	
+	/**
+	* Populates the attributed output values by applying the attribution model to the touchpoint history.  If no touchpoint
+	* falls within the lookback window, the current session values are used instead.
+	* @private
+	*/
+	function calculateAttribution() {
+		var candidates = new Array();
+		var oldest = attributionLookback > 0 ? new Date().getTime() - attributionLookback*24*60*60*1000 : 0;
+		var selected = null;
+		var i;
+		
+		for (i = 0; i < touchpoints.length; i++) {
+			if (touchpoints[i].timestamp >= oldest) {
+				candidates.push(touchpoints[i]);
+			}
+		}
+		
+		if (candidates.length > 0) {
+			switch(attributionModel) {
+				case "firstTouch" :
+				selected = candidates[0];
+				break;
+				
+				case "lastNonDirectTouch" :
+				for (i = candidates.length - 1; i >= 0 && !selected; i--) {
+					if (candidates[i].medium != directMediumName) {
+						selected = candidates[i];
+					}
+				}
+				if (!selected) {
+					selected = candidates[candidates.length - 1];
+				}
+				break;
+				
+				default :
+				selected = candidates[candidates.length - 1];
+			}
+		}
+		
+		if (selected) {
+			attributedMedium = selected.medium;
+			attributedSource = selected.source;
+			attributedCampaign = selected.campaign;
+			attributedKeyword = selected.keyword;
+		} else {
+			attributedMedium = medium;
+			attributedSource = source;
+			attributedCampaign = campaign;
+			attributedKeyword = keyword;
 		}
-		
-		return path;
 	}
 	
-	/**
-	*
-	* @private
-	*/	
-	function formatString(string) {
-		var str = string;
-		
-		str = str.replace(/\%rd/g, referringDomain);
-		str = str.replace(/\%rp/g, referringPath);
-		//str = str.replace(/\%r/g, referrer);
-		str = str.replace(/\%m/g, medium);
-		str = str.replace(/\%s/g, source);
-		str = str.replace(/\%cp/g, campaign);
-		str = str.replace(/\%c/g, content);
-		str = str.replace(/\%kg/g, keywordGroup);
-		str = str.replace(/\%k/g, keyword);
-		
-		return str;
-	}
-
-	/**
-	* @private
-	*/
-	function isCookieSet() {
-		return (s.c_r(cookieName) ? true : false);
-	}
 	/**
 	*
 	* @private
 	*/
-	function getValuesFromCookie() {
-		//var str = getCookie(cookieName);
-		var str = s.c_r(cookieName);
+	function getTouchpointsFromCookie() {
+		touchpoints = new Array();
 		
+		var str = maxTouchpoints > 0 ? storage.read(historyCookieName) : "";
 		if (!str) {
 			return false;
-		} else {
-			str = str.split("|");
-			for (var i = 0; i < str.length; i++) {
-				var key = str[i].split("=")[0];
-				var value = unescapeValue(str[i].split("=")[1]);
+		}
+		
+		var entries = parseCookie(str, "^");
+		if (!entries) {
+			trace("cookie", "history cookie \"" + historyCookieName + "\" could not be read and is ignored");
+			return false;
+		}
+		
+		for (var i = 0; i < entries.length; i++) {
+			var touchpoint = {medium: "", source: "", campaign: "", keyword: "", timestamp: 0};
+			for (var key in entries[i]) {
+				if (!entries[i].hasOwnProperty(key)) continue;
+				var value = entries[i][key];
 				
 				switch(key) {
 					case "m" :
-					medium = value;
+					touchpoint.medium = value;
 					break;
 					
 					case "s" :
-					source = value;
-					break;
-					
-					case "k" :
-					keyword = value;
-					break;
-					
-					case "kg" :
-					keywordGroup = value;
-					break;
-					
-					case "c" :
-					content = value;
+					touchpoint.source = value;
 					break;
 					
 					case "cp" :
-					campaign = value;
+					touchpoint.campaign = value;
 					break;
 					
-					/*
-					case "r" :
-					referrer = value;
-					break;
-					*/
-					
-					case "rp" :
-					referringPath = value;
+					case "k" :
+					touchpoint.keyword = value;
 					break;
 					
-					case "rd" :
-					referringDomain = value;
+					case "t" :
+					touchpoint.timestamp = parseInt(value, 10) || 0;
 					break;
 				}
 			}
-			return true;
-		}	
+			touchpoints.push(touchpoint);
+		}
+		return true;
 	}
 	
 	/**
-	*
+	* Saves the touchpoint history cookie, shortening the campaign and keyword of each touchpoint to their maximum lengths and
+	* discarding touchpoints from the middle of the history until it fits within {@link TrafficOrganizer#getHistoryCookieMaxBytes}.
+	* The first and the most recent touchpoints are always kept.
 	* @private
-	*/	
-	function saveValuesToCookie() {
-		var str = "";
+	*/
+	function saveTouchpointsToCookie() {
+		var entries = new Array();
+		var count = touchpoints.length;
+		var str;
 		
-		str += "m="+escapeValue(medium);
-		str += "|s="+escapeValue(source);
-		if (keyword) {
-			str += "|k="+escapeValue(keyword);
+		for (var i = 0; i < touchpoints.length; i++) {
+			var fields = new Array(["m", touchpoints[i].medium], ["s", touchpoints[i].source]);
+			if (touchpoints[i].campaign) {
+				fields.push(["cp", truncateHistoryValue(touchpoints[i].campaign, "campaign")]);
+			}
+			if (touchpoints[i].keyword) {
+				fields.push(["k", truncateHistoryValue(touchpoints[i].keyword, "keyword")]);
+			}
+			fields.push(["t", touchpoints[i].timestamp]);
+			entries.push(fields);
 		}
 		
-		if (keywordGroup) {
-			str += "|kg="+escapeValue(keywordGroup);
+		str = serializeCookie(entries, "^");
+		while (historyCookieMaxBytes > 0 && getStoredSize(str) > historyCookieMaxBytes && entries.length > 2) {
+			// Discard the oldest touchpoint after the first, as when the history exceeds the maximum number of touchpoints
+			entries.splice(1, 1);
+			touchpoints.splice(1, 1);
+			str = serializeCookie(entries, "^");
 		}
-		
-		if (content) {
-			str += "|c="+escapeValue(content);
+		if (touchpoints.length < count) {
+			trace("cookie", (count - touchpoints.length) + " touchpoints discarded from the history cookie");
+			truncatedFields.push({field: "touchpoints", action: "truncated", originalLength: count, length: touchpoints.length});
 		}
-		
-		if (campaign) {
-			str += "|cp="+escapeValue(campaign);
+		if (historyCookieMaxBytes > 0 && getStoredSize(str) > historyCookieMaxBytes) {
+			trace("cookie", "history cookie \"" + historyCookieName + "\" exceeds " + historyCookieMaxBytes + " bytes");
 		}
 		
-		/*
-		if (referrer) {
-			str += "|r="+escapeValue(referrer);
-		}
-		*/
+		var d = new Date();
+		d.setTime(d.getTime() + historyCookieTimeout);
+		storage.write(historyCookieName, str, d);
+	}
+	
+	/**
+	* Returns a touchpoint value shortened to the maximum length of the field, if any.
+	* @private
+	*/
+	function truncateHistoryValue(value, field) {
+		var maxLength = fieldMaxLengths.hasOwnProperty(field) ? fieldMaxLengths[field] : 0;
+		return maxLength > 0 && value.length > maxLength ? truncateValue(value, maxLength) : value;
+	}
+	
+	/**
+	* Storage backend using Omniture's s.c_r and s.c_w plugins.  While a cookie domain is set (see
+	* {@link TrafficOrganizer#setCookieDomain}), values are written by the native cookie backend, which can set it.
+	* @private
+	*/
+	function createOmnitureStorage() {
+		var cookies = createCookieStorage({});
 		
-		if(referringPath) {
-			str += "|rp="+escapeValue(referringPath);
-		}
+		return {
+			read: function(name) {
+				return s.c_r(name);
+			},
+			write: function(name, value, expires) {
+				if (cookieDomain && typeof(document) != "undefined") {
+					return cookies.write(name, value, expires);
+				}
+				return s.c_w(name, value, expires);
+			},
+			size: function(value) {
+				if (cookieDomain && typeof(document) != "undefined") {
+					return cookies.size(value);
+				}
+				// s.c_w escapes the value
+				return escape(value).length;
+			}
+		};
+	}
+	
+	/**
+	* Storage backend using native document.cookie.  Values made only of characters allowed in a cookie (other than "%") are
+	* written as is, others are URI-encoded; reading decodes both.
+	* @private
+	*/
+	function createCookieStorage(options) {
+		var safe = /^[\x21\x23\x24\x26-\x2B\x2D-\x3A\x3C-\x5B\x5D-\x7E]*$/;
 		
-		if (referringDomain) {
-			str += "|rd="+escapeValue(referringDomain);
+		return {
+			read: function(name) {
+				var cookies = document.cookie ? document.cookie.split(";") : new Array();
+				for (var i = 0; i < cookies.length; i++) {
+					var cookie = cookies[i].replace(/^\s+/, "");
+					if (cookie.indexOf(name + "=") == 0) {
+						try {
+							return decodeURIComponent(cookie.substring(name.length + 1));
+						} catch (e) {
+							return "";
+						}
+					}
+				}
+				return "";
+			},
+			write: function(name, value, expires) {
+				var str = name + "=" + (safe.test(value) ? value : encodeURIComponent(value));
+				str += "; expires=" + expires.toUTCString();
+				str += "; path=" + (options.path || "/");
+				if (options.domain || cookieDomain) {
+					str += "; domain=" + (options.domain || cookieDomain);
+				}
+				if (options.sameSite) {
+					str += "; SameSite=" + options.sameSite;
+				}
+				if (options.secure) {
+					str += "; secure";
+				}
+				document.cookie = str;
+				return true;
+			},
+			size: function(value) {
+				return safe.test(value) ? value.length : encodeURIComponent(value).length;
+			}
+		};
+	}
+	
+	/**
+	* Storage backend using window.localStorage.  Values are stored with their expiry time prepended (e.g. "1262322000000:value").
+	* @private
+	*/
+	function createLocalStorage() {
+		return {
+			read: function(name) {
+				try {
+					var str = window.localStorage.getItem(name);
+					if (!str) {
+						return "";
+					}
+					var separator = str.indexOf(":");
+					if (parseInt(str.substring(0, separator), 10) < new Date().getTime()) {
+						window.localStorage.removeItem(name);
+						return "";
+					}
+					return str.substring(separator + 1);
+				} catch (e) {
+					return "";
+				}
+			},
+			write: function(name, value, expires) {
+				try {
+					if (expires.getTime() < new Date().getTime()) {
+						window.localStorage.removeItem(name);
+					} else {
+						window.localStorage.setItem(name, expires.getTime() + ":" + value);
+					}
+					return true;
+				} catch (e) {
+					return false;
+				}
+			}
+		};
+	}
+	
+	/**
+	* Storage backend which keeps values in memory for the lifetime of this instance.
+	* @private
+	*/
+	function createMemoryStorage() {
+		var values = {};
+		return {
+			read: function(name) {
+				var entry = values.hasOwnProperty(name) ? values[name] : null;
+				if (!entry || entry.expires < new Date().getTime()) {
+					return "";
+				}
+				return entry.value;
+			},
+			write: function(name, value, expires) {
+				values[name] = {value: value, expires: expires.getTime()};
+				return true;
+			}
+		};
+	}
+	
+	/**
+	* Serializes entries in the current (v2) cookie format (see {@link #encodeCookieValue}).
+	* @param {Array} entries the entries, each an array of <code>[key, value]</code> pairs.
+	* @param {String} separator the separator between entries ("|" for a single entry, "^" for the history).
+	* @returns {String} the cookie value.
+	* @private
+	*/
+	function serializeCookie(entries, separator) {
+		var parts = new Array(cookieFormatVersion);
+		for (var i = 0; i < entries.length; i++) {
+			var fields = new Array();
+			for (var j = 0; j < entries[i].length; j++) {
+				fields.push(entries[i][j][0] + "=" + encodeCookieValue(entries[i][j][1]));
+			}
+			parts.push(fields.join("|"));
 		}
-		
-		var d = new Date();
-		// Delete the current cookie
-		d.setTime(d.getTime() - 1*24*60*60*1000);
-		s.c_w(cookieName, "", d);
-		d = new Date();
-		// Now write the cookie value again
-		d.setTime(d.getTime() + cookieTimeout);
-		s.c_w(cookieName, str, d);
-		//setCookie(cookieName, str, cookieTimeout);
+		return parts.join(separator);
 	}
 	
 	/**
-	*
+	* Encodes a value for the v2 cookie format.  The value is encoded with encodeURIComponent, keeping "/" and ":" and
+	* writing spaces as "+", after which "*" is encoded as well and "%" is replaced by "*".  Values never contain a
+	* separator or "%", so cookies only contain characters allowed in a cookie and are written unescaped by the native
+	* cookie backend.  Omniture's s.c_w still escapes the separators, ":" and "^".
 	* @private
-	*/	
-	function escapeValue(value) {
-		value = value.replace("|", "~!~");
-		value = encodeURIComponent(value);
-		return value;
+	*/
+	function encodeCookieValue(value) {
+		return encodeURIComponent(String(value)).replace(/\*/g, "%2A").replace(/%2F/g, "/").replace(/%3A/g, ":")
+				.replace(/%20/g, "+").replace(/%/g, "*");
 	}
 	
 	/**
-	*
+	* Decodes a value encoded by {@link #encodeCookieValue}.  Throws an error if the value is malformed.
 	* @private
-	*/	
-	function unescapeValue(value) {
-		value = decodeURIComponent(value);
-		value = value.replace("~!~","|");
-		return value;
+	*/
+	function decodeCookieValue(value) {
+		return decodeURIComponent(value.replace(/\+/g, " ").replace(/\*/g, "%"));
+	}
+	
+	/**
+	* Parses a cookie written by {@link #serializeCookie}, or by earlier versions without a version marker (v1).
+	* @param {String} str the cookie value.
+	* @param {String} separator the separator between entries ("|" for a single entry, "^" for the history).
+	* @returns {Array} the entries, each an object of keys and decoded values, or <code>null</code> if the cookie is corrupted
+	* or written in an unknown version.
+	* @private
+	*/
+	function parseCookie(str, separator) {
+		var legacy = false;
+		var entries = new Array();
+		var chunks;
+		
+		if (str == cookieFormatVersion) {
+			return entries;
+		} else if (str.indexOf(cookieFormatVersion + separator) == 0) {
+			chunks = str.substring(cookieFormatVersion.length + 1);
+		} else if (str.indexOf("m=") == 0) {
+			legacy = true;
+			chunks = str;
+		} else {
+			return null;
+		}
+		
+		chunks = separator == "|" ? new Array(chunks) : chunks.split(separator);
+		for (var i = 0; i < chunks.length; i++) {
+			var fields = chunks[i].split("|");
+			var entry = {};
+			for (var j = 0; j < fields.length; j++) {
+				var separatorIndex = fields[j].indexOf("=");
+				if (separatorIndex <= 0) {
+					return null;
+				}
+				var value = fields[j].substring(separatorIndex + 1);
+				try {
+					value = legacy ? decodeURIComponent(value).replace(/~!~/g, "|") : decodeCookieValue(value);
+				} catch (e) {
+					return null;
+				}
+				entry[fields[j].substring(0, separatorIndex)] = value;
+			}
+			entries.push(entry);
+		}
+		return entries;
 	}
 	
 	/**
@@ -858,45 +3969,355 @@ TrafficOrganizer = function(omniObject) {
 		}
 		return -1;
 	}
+
+	/**
+	* Reads the search keyword from the referrer using the first keyword parameter that has a value.
+	* @param {String,Array} keys a keyword parameter, an array of keyword parameters or a comma-separated list of keyword parameters.
+	* @private
+	*/
+	function getSearchKeyword(keys) {
+		if (typeof(keys) == "string") {
+			keys = keys.split(",");
+		}
+		for (var i = 0; i < keys.length; i++) {
+			var value = readQueryParam(referrer, keys[i].replace(/^\s+|\s+$/g, ""));
+			if (value) {
+				return value;
+			}
+		}
+		return "";
+	}
+	
+	/**
+	* Determines whether the referring domain belongs to a search engine list entry, using either host or substring matching.
+	* @private
+	*/
+	function searchEngineMatches(engine) {
+		if (engine[3] != "host") {
+			return referringDomain.indexOf(engine[0]) >= 0;
+		}
+		
+		var patterns = engine[0].split(",");
+		for (var i = 0; i < patterns.length; i++) {
+			if (hostMatches(referringDomain, patterns[i].replace(/^\s+|\s+$/g, ""))) {
+				return true;
+			}
+		}
+		return false;
+	}
+	
+	/**
+	* Matches a value against a {@link RegExp} or a case-insensitive {@link String} pattern which may contain "*" wildcards.
+	* @private
+	*/
+	function patternMatches(value, pattern) {
+		if (pattern && pattern.test) {
+			return pattern.test(value);
+		}
+		if (String(pattern).indexOf("*") < 0) {
+			return value.toLowerCase() == String(pattern).toLowerCase();
+		}
+		var expression = String(pattern).replace(/[.+?^${}()|[\]\\\/]/g, "\\$&").replace(/\*/g, ".*");
+		return new RegExp("^" + expression + "$", "i").test(value);
+	}
+	
+	/**
+	* Returns the first of the given landing page parameters (see {@link TrafficOrganizer#setSourceKey}) with a value, taking
+	* {@link TrafficOrganizer#setCaseInsensitiveKeys} and {@link TrafficOrganizer#setKeysFromFragment} into account.
+	* @param {String,Array} keys the parameter name or an ordered list of names.
+	* @returns {Object} the parameter as <code>{name: ..., value: ...}</code>, or <code>null</code> if none has a value.
+	* @private
+	*/
+	function findCampaignParam(keys) {
+		var landing = parseURI(landingURI);
+		var fragment = landing.fragment.indexOf("?") >= 0 ? landing.fragment.substring(landing.fragment.indexOf("?") + 1) : landing.fragment;
+		
+		keys = typeof(keys) == "string" ? new Array(keys) : keys;
+		for (var i = 0; i < keys.length; i++) {
+			var value = readQueryParam(landingURI, keys[i], caseInsensitiveKeys);
+			// The fragment is not part of the query string, so the environment's query reader is not used for it
+			if (value == "" && keysFromFragment) {
+				value = getQueryValue(fragment, keys[i], caseInsensitiveKeys);
+			}
+			if (value != "") {
+				return {name: keys[i], value: value};
+			}
+		}
+		return null;
+	}
+	
+	/**
+	* Returns the value of the first of the given landing page parameters with a value, or a blank value (i.e. "") if none has one.
+	* @private
+	*/
+	function getCampaignParam(keys) {
+		var param = findCampaignParam(keys);
+		return param ? param.value : "";
+	}
+	
+	/**
+	* Copies a parameter name or list of parameter names so that later changes to the caller's array have no effect.
+	* @private
+	*/
+	function copyKeys(keys) {
+		return typeof(keys) == "string" ? keys : keys.slice(0);
+	}
+	
+	/**
+	* Returns the decoded value of a query string parameter of the landing page, or a blank value (i.e. "") if absent.
+	* @private
+	*/
+	function getLandingParam(name) {
+		return readQueryParam(landingURI, name);
+	}
+	
+	/**
+	* Returns the decoded value of a query string parameter of a URI using the environment's query reader, if any.  The name is
+	* compared regardless of case if <code>ignoreCase</code> is true.
+	* @private
+	*/
+	function readQueryParam(uri, name, ignoreCase) {
+		if (typeof(env.getQueryParam) == "function") {
+			return env.getQueryParam(name, uri, ignoreCase == true) || "";
+		}
+		return getQueryValue(parseURI(uri).query, name, ignoreCase);
+	}
+	
+	/**
+	* Returns the referrer from the environment, or document.referrer by default.
+	* @private
+	*/
+	function getEnvironmentReferrer() {
+		if (typeof(env.referrer) == "string") {
+			return env.referrer;
+		}
+		return typeof(document) != "undefined" ? document.referrer : "";
+	}
+	
+	/**
+	* Returns the landing page URL from the environment, or document.location.href by default.
+	* @private
+	*/
+	function getEnvironmentLocation() {
+		if (typeof(env.location) == "string") {
+			return env.location;
+		}
+		return typeof(document) != "undefined" ? document.location.href : "";
+	}
+	
+	/**
+	* Sets the referrer and the referring domain, path, hostname and query derived from it.
+	* @private
+	*/
+	function setReferrer(uri) {
+		var parts = parseURI(uri);
+		referrer = uri;
+		referringDomain = getDomainFromURI(uri);
+		referringPath = parts.path;
+		referringHostname = parts.hostname;
+		referringQuery = parts.query;
+	}
+	
+	/**
+	* Returns the decoded value of a parameter in a query string (without the leading "?"), or a blank value (i.e. "") if absent.
+	* The name is compared regardless of case if <code>ignoreCase</code> is true.
+	* @private
+	*/
+	function getQueryValue(query, name, ignoreCase) {
+		var pairs = query ? query.split("&") : new Array();
+		for (var i = 0; i < pairs.length; i++) {
+			var separator = pairs[i].indexOf("=");
+			var key = separator >= 0 ? pairs[i].substring(0, separator) : pairs[i];
+			if (key == name || (ignoreCase && key.toLowerCase() == name.toLowerCase())) {
+				var value = separator >= 0 ? pairs[i].substring(separator + 1).replace(/\+/g, " ") : "";
+				try {
+					return decodeURIComponent(value);
+				} catch (e) {
+					return value;
+				}
+			}
+		}
+		return "";
+	}
+	
+	/**
+	* Determines whether a host matches a host pattern.  A pattern matches the host itself and any of its subdomains (e.g.
+	* "m.facebook.com" matches "facebook.com" but "notfacebook.com" does not).  A leading "*." is optional, and a trailing ".*"
+	* matches any top-level or country code domain (e.g. "google.*" matches "google.de" and "google.co.uk").
+	* @private
+	*/
+	function hostMatches(host, pattern) {
+		host = host.toLowerCase();
+		pattern = pattern.toLowerCase();
+		
+		if (pattern.indexOf("*.") == 0) {
+			pattern = pattern.substring(2);
+		}
+		
+		if (pattern.length > 2 && pattern.substring(pattern.length - 2) == ".*") {
+			var name = pattern.substring(0, pattern.length - 2).replace(/\./g, "\\.");
+			return new RegExp("(^|\\.)" + name + "\\.((com?|org|net|edu|gov|ac|or|ne|go)\\.)?[a-z]{2,}$").test(host);
+		}
+		
+		return host == pattern || (host.length > pattern.length && host.substring(host.length - pattern.length - 1) == "." + pattern);
+	}
 	
+	/**
+	* Converts a {@link RegExp} into a JSON-friendly <code>{pattern: "...", flags: "..."}</code> object.  Any other value is returned unchanged.
+	* @private
+	*/
+	function serializePattern(value) {
+		if (value instanceof RegExp) {
+			return {pattern: value.source, flags: (value.ignoreCase ? "i" : "") + (value.multiline ? "m" : "")};
+		}
+		return value;
+	}
+
+	/**
+	* Reverses {@link #serializePattern}, turning <code>{pattern: "...", flags: "..."}</code> objects back into {@link RegExp} objects.
+	* @private
+	*/
+	function parsePattern(value) {
+		if (value && typeof(value) == "object" && !(value instanceof RegExp) && typeof(value.pattern) == "string") {
+			return new RegExp(value.pattern, value.flags || "");
+		}
+		return value;
+	}
+
+	/**
+	* @private
+	*/
+	function serializePatternList(list) {
+		var result = new Array();
+		for (var i = 0; i < list.length; i++) {
+			result.push(serializePattern(list[i]));
+		}
+		return result;
+	}
+
+	/**
+	* @private
+	*/
+	function parsePatternList(list) {
+		var result = new Array();
+		for (var i = 0; i < list.length; i++) {
+			result.push(parsePattern(list[i]));
+		}
+		return result;
+	}
+
 	searchEngineList = new Array(
-		["daum", "q", "Daum"],
-		["eniro", "search_word", "Eniro"],
-		["naver", "query", "Naver"],
-		["google", "q", "Google"],
-		["yahoo", "p", "Yahoo"],
-		["msn", "q", "MSN"],
-		["bing", "q", "Bing"],
-		["aol", "query,encquery", "AOL"],
-		["lycos", "query", "Lycos"],
-		["ask", "q", "Ask"],
-		["altavista", "q", "Altavista"],
-		["search.netscape", "query", "Netscape"],
-		["cnn", "query", "CNN"],
-		["about", "terms", "About"],
-		["mamma", "query", "Mamma"],
-		["alltheweb", "q", "Alltheweb"],
-		["voila.fr", "rdata", "Voila"],
-		["virgilio", "qs", "Virgilio"],
-		["baidu", "wd", "Baidu"],
-		["alice", "qs", "Alice"],
-		["yandex", "text", "Yandex"],
-		["najdi.org.mk", "q", "Najdi"],
-		["seznam.cz", "q", "Seznam"],
-		["search.com", "q", "Search.com"],
-		["wp.pl", "szukaj", "Wirtulana Polska"],
-		["onetcenter", "qt", "O*NET"],
-		["szukacz", "q", "Szukacz"],
-		["yam", "k", "Yam"],
-		["pchome", "q", "PCHome"],
-		["kvasir", "q", "Kvasir"],
-		["sesam", "q", "Sesam"],
-		["ozu", "q", "Ozu"],
-		["terra", "query", "Terra"],
-		["mynet", "q", "Mynet"],
-		["ekolay", "q", "Ekolay"],
-		["rambler", "words", "Rambler"]
+		["daum.net", "q", "Daum", "host"],
+		["eniro.*", "search_word", "Eniro", "host"],
+		["naver.com", "query", "Naver", "host"],
+		["google.*", "q", "Google", "host"],
+		["yahoo.*", "p", "Yahoo", "host"],
+		["msn.com", "q", "MSN", "host"],
+		["bing.com", "q", "Bing", "host"],
+		["aol.*", "query,encquery", "AOL", "host"],
+		["lycos.*", "query", "Lycos", "host"],
+		["ask.com", "q", "Ask", "host"],
+		["altavista.com", "q", "Altavista", "host"],
+		["search.netscape.com", "query", "Netscape", "host"],
+		["search.cnn.com", "query", "CNN", "host"],
+		["about.com", "terms", "About", "host"],
+		["mamma.com", "query", "Mamma", "host"],
+		["alltheweb.com", "q", "Alltheweb", "host"],
+		["voila.fr", "rdata", "Voila", "host"],
+		["virgilio.it", "qs", "Virgilio", "host"],
+		["baidu.com", "wd", "Baidu", "host"],
+		["alice.it", "qs", "Alice", "host"],
+		["yandex.*", "text", "Yandex", "host"],
+		["najdi.org.mk", "q", "Najdi", "host"],
+		["seznam.cz", "q", "Seznam", "host"],
+		["search.com", "q", "Search.com", "host"],
+		["wp.pl", "szukaj", "Wirtulana Polska", "host"],
+		["onetcenter.org", "qt", "O*NET", "host"],
+		["szukacz.pl", "q", "Szukacz", "host"],
+		["yam.com", "k", "Yam", "host"],
+		["pchome.com.tw", "q", "PCHome", "host"],
+		["kvasir.no", "q", "Kvasir", "host"],
+		["sesam.no", "q", "Sesam", "host"],
+		["ozu.es", "q", "Ozu", "host"],
+		["terra.*", "query", "Terra", "host"],
+		["mynet.com", "q", "Mynet", "host"],
+		["ekolay.net", "q", "Ekolay", "host"],
+		["rambler.ru", "words", "Rambler", "host"]
 	);	
+	
+	clickIdList = new Array(
+		["gclid", "Google", "search"],
+		["gbraid", "Google", "search"],
+		["wbraid", "Google", "search"],
+		["dclid", "Google", "display"],
+		["msclkid", "Bing", "search"],
+		["yclid", "Yandex", "search"],
+		["fbclid", "Facebook", "social"],
+		["ttclid", "TikTok", "social"],
+		["twclid", "Twitter", "social"],
+		["li_fat_id", "LinkedIn", "social"]
+	);
+	
+	socialNetworkList = new Array(
+		["facebook.com", "Facebook"],
+		["fb.me", "Facebook"],
+		["instagram.com", "Instagram"],
+		["twitter.com", "Twitter"],
+		["t.co", "Twitter"],
+		["x.com", "Twitter"],
+		["linkedin.com", "LinkedIn"],
+		["lnkd.in", "LinkedIn"],
+		["reddit.com", "Reddit"],
+		["pinterest.com", "Pinterest"],
+		["youtube.com", "YouTube"],
+		["tiktok.com", "TikTok"]
+	);
+	
+	ignoredProviderList = new Array(
+		// Payment providers
+		"*.paypal.com",
+		"*.stripe.com",
+		"*.adyen.com",
+		"*.braintreegateway.com",
+		"*.klarna.com",
+		"*.afterpay.com",
+		"*.affirm.com",
+		"*.mollie.com",
+		"*.worldpay.com",
+		"*.opayo.co.uk",
+		"*.authorize.net",
+		"pay.google.com",
+		// Authentication providers
+		"accounts.google.com",
+		"login.microsoftonline.com",
+		"login.live.com",
+		"appleid.apple.com",
+		"*.okta.com",
+		"*.auth0.com"
+	);
+	
+	webmailProviderList = new Array(
+		["mail.google.com", "Gmail"],
+		["inbox.google.com", "Gmail"],
+		["outlook.live.com", "Outlook.com"],
+		["mail.live.com", "Outlook.com"],
+		["outlook.office.com", "Outlook"],
+		["outlook.office365.com", "Outlook"],
+		["mail.yahoo.com", "Yahoo! Mail"],
+		["mail.aol.com", "AOL Mail"],
+		["mail.yandex.ru", "Yandex Mail"],
+		["e.mail.ru", "Mail.ru"],
+		["mail.zoho.com", "Zoho Mail"],
+		["mail.proton.me", "Proton Mail"],
+		["navigator.gmx.net", "GMX"]
+	);
 	s = omniObject;
+	env = environment || {};
 	this.resetAll();
-}
\ No newline at end of file
+	if (config) {
+		this.loadConfig(config);
+	}
+}
+
+return TrafficOrganizer;
+});
@@ -0,0 +1,302 @@
+/*
+ * Copyright (C) 2010				Mike Sukmanowski (mike.sukmanowsky@oddinteractive.com)
+*/
+
+/* Offline log classification
+	Reclassifies historical traffic with the current TrafficOrganizer configuration.  Requests are grouped into sessions per
+	visitor using the configured cookie timeout and every request which starts a new traffic source is written as a visit.
+
+	Usage:
+		node tools/classify-log.js [options] [file]
+
+	Options:
+		--input combined|csv	input format (default: combined)
+		--output csv|json		output format (default: csv)
+		--config file			JSON configuration object (see TrafficOrganizer#loadConfig); unknown keys are an error
+		--site url				scheme and host of the logged site, used to build landing URLs from request paths
+								(default: http://localhost)
+		--referrer-column name	CSV column holding the full referrer (default: referrer)
+		--url-column name		CSV column holding the request URL (default: url)
+		--time-column name		CSV column holding the request time, ISO 8601 or milliseconds (default: time)
+		--visitor-column name	CSV column holding the visitor key (default: visitor)
+		--all					also classify non-GET requests, error responses and static files (combined format only)
+
+	Reads standard input when no file is given and writes to standard output.  Combined log format visitors are keyed by
+	IP address and user agent.  CSV input must have all four columns.  Requests must be in chronological order per visitor.  Referrals from the host of each
+	request's landing URL are treated as internal, so absolute CSV URLs do not need --site.
+*/
+
+var fs = require("fs");
+var path = require("path");
+var readline = require("readline");
+var TrafficOrganizer = require(path.join(__dirname, "..", "src", "TrafficOrganizer.js"));
+
+var COLUMNS = ["visitor", "time", "landingPage", "medium", "source", "keyword", "keywordGroup", "campaign", "content"];
+var STATIC_FILES = /\.(css|js|png|gif|jpe?g|ico|svg|webp|woff2?|ttf|eot|map)$/i;
+var COMBINED_LINE = /^(\S+) \S+ \S+ \[([^\]]+)\] "(\S+) (\S+)[^"]*" (\d{3}) \S+ "((?:[^"\\]|\\.)*)" "((?:[^"\\]|\\.)*)"/;
+var MONTHS = {Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11};
+
+/**
+* Parses the command line arguments into an options object.
+*/
+function parseArguments(args) {
+	var options = {
+		input: "combined",
+		output: "csv",
+		config: "",
+		site: "http://localhost",
+		referrerColumn: "referrer",
+		urlColumn: "url",
+		timeColumn: "time",
+		visitorColumn: "visitor",
+		all: false,
+		file: ""
+	};
+
+	for (var i = 0; i < args.length; i++) {
+		switch(args[i]) {
+			case "--input" : options.input = args[++i]; break;
+			case "--output" : options.output = args[++i]; break;
+			case "--config" : options.config = args[++i]; break;
+			case "--site" : options.site = args[++i].replace(/\/+$/, ""); break;
+			case "--referrer-column" : options.referrerColumn = args[++i]; break;
+			case "--url-column" : options.urlColumn = args[++i]; break;
+			case "--time-column" : options.timeColumn = args[++i]; break;
+			case "--visitor-column" : options.visitorColumn = args[++i]; break;
+			case "--all" : options.all = true; break;
+			default :
+			if (args[i].indexOf("--") == 0 || options.file) {
+				throw new Error("Unknown argument: " + args[i]);
+			}
+			options.file = args[i];
+		}
+	}
+
+	if (options.input != "combined" && options.input != "csv") {
+		throw new Error("Unknown input format: " + options.input);
+	}
+	if (options.output != "csv" && options.output != "json") {
+		throw new Error("Unknown output format: " + options.output);
+	}
+	return options;
+}
+
+/**
+* Parses a combined log format timestamp (e.g. "10/Oct/2000:13:55:36 -0700") into milliseconds.
+*/
+function parseLogTime(str) {
+	var parts = /^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2}) ([+-])(\d{2})(\d{2})$/.exec(str);
+	if (!parts || !MONTHS.hasOwnProperty(parts[2])) {
+		return NaN;
+	}
+	var offset = (parseInt(parts[8], 10) * 60 + parseInt(parts[9], 10)) * 60000 * (parts[7] == "-" ? -1 : 1);
+	return Date.UTC(parseInt(parts[3], 10), MONTHS[parts[2]], parseInt(parts[1], 10),
+			parseInt(parts[4], 10), parseInt(parts[5], 10), parseInt(parts[6], 10)) - offset;
+}
+
+/**
+* Parses a line of a combined format access log into a request, or returns null if the line should be skipped.
+*/
+function parseCombinedLine(line, options) {
+	var parts = COMBINED_LINE.exec(line);
+	if (!parts) {
+		return null;
+	}
+	if (!options.all && (parts[3] != "GET" || parts[5].charAt(0) == "4" || parts[5].charAt(0) == "5" ||
+			STATIC_FILES.test(parts[4].split("?")[0]))) {
+		return null;
+	}
+	return {
+		visitor: parts[1] + " " + parts[7].replace(/\\(.)/g, "$1"),
+		time: parseLogTime(parts[2]),
+		url: parts[4],
+		referrer: parts[6] == "-" ? "" : parts[6].replace(/\\(.)/g, "$1")
+	};
+}
+
+/**
+* Splits a line of CSV into its fields.  Quoted fields may contain commas and doubled quotes but not line breaks.
+*/
+function parseCSVLine(line) {
+	var fields = new Array();
+	var field = "";
+	var quoted = false;
+
+	for (var i = 0; i < line.length; i++) {
+		var ch = line.charAt(i);
+		if (quoted) {
+			if (ch == "\"" && line.charAt(i + 1) == "\"") {
+				field += "\"";
+				i++;
+			} else if (ch == "\"") {
+				quoted = false;
+			} else {
+				field += ch;
+			}
+		} else if (ch == "\"") {
+			quoted = true;
+		} else if (ch == ",") {
+			fields.push(field);
+			field = "";
+		} else {
+			field += ch;
+		}
+	}
+	fields.push(field);
+	return fields;
+}
+
+/**
+* Parses a line of CSV into a request using the column positions read from the header row.
+*/
+function parseCSVRow(line, columns) {
+	var fields = parseCSVLine(line);
+	var time = fields[columns.time] || "";
+	return {
+		visitor: fields[columns.visitor] || "",
+		time: /^\d+$/.test(time) ? parseInt(time, 10) : Date.parse(time),
+		url: fields[columns.url] || "",
+		referrer: fields[columns.referrer] || ""
+	};
+}
+
+/**
+* Quotes a value for CSV output when needed.
+*/
+function toCSVField(value) {
+	var str = String(value);
+	return /[",\r\n]/.test(str) ? "\"" + str.replace(/"/g, "\"\"") + "\"" : str;
+}
+
+/**
+* Returns a writer for visits in the requested output format.
+*/
+function createWriter(format, out) {
+	var count = 0;
+	return {
+		write: function(visit) {
+			if (format == "json") {
+				out.write((count == 0 ? "[\n" : ",\n") + JSON.stringify(visit));
+			} else {
+				if (count == 0) {
+					out.write(COLUMNS.join(",") + "\n");
+				}
+				var fields = new Array();
+				for (var i = 0; i < COLUMNS.length; i++) {
+					fields.push(toCSVField(visit[COLUMNS[i]]));
+				}
+				out.write(fields.join(",") + "\n");
+			}
+			count++;
+		},
+		end: function() {
+			if (format == "json") {
+				out.write(count == 0 ? "[]\n" : "\n]\n");
+			} else if (count == 0) {
+				out.write(COLUMNS.join(",") + "\n");
+			}
+		}
+	};
+}
+
+function main() {
+	var options = parseArguments(process.argv.slice(2));
+	var config = options.config ? JSON.parse(fs.readFileSync(options.config, "utf8")) : null;
+	var tsm = new TrafficOrganizer(null, config, {referrer: "", location: options.site + "/", storage: "memory"});
+	if (tsm.getUnknownConfigKeys().length > 0) {
+		throw new Error("Unknown configuration keys: " + tsm.getUnknownConfigKeys().join(", "));
+	}
+	var timeout = tsm.getCookieTimeout();
+	var sessions = {};
+	var writer = createWriter(options.output, process.stdout);
+	var columns = null;
+	var lineNumber = 0;
+
+	var stream = options.file ? fs.createReadStream(options.file) : process.stdin;
+	stream.on("error", function(e) {
+		process.stderr.write(e.message + "\n");
+		process.exit(1);
+	});
+	var input = readline.createInterface({
+		input: stream,
+		crlfDelay: Infinity
+	});
+
+	input.on("line", function(line) {
+		var request;
+
+		lineNumber++;
+		if (!line) {
+			return;
+		}
+
+		if (options.input == "csv") {
+			if (!columns) {
+				var header = parseCSVLine(line);
+				columns = {
+					referrer: header.indexOf(options.referrerColumn),
+					url: header.indexOf(options.urlColumn),
+					time: header.indexOf(options.timeColumn),
+					visitor: header.indexOf(options.visitorColumn)
+				};
+				if (columns.referrer < 0 || columns.url < 0 || columns.time < 0 || columns.visitor < 0) {
+					process.stderr.write("CSV header must contain the \"" + options.referrerColumn + "\", \"" + options.urlColumn + "\", \"" +
+							options.timeColumn + "\" and \"" + options.visitorColumn + "\" columns\n");
+					process.exit(1);
+				}
+				return;
+			}
+			request = parseCSVRow(line, columns);
+		} else {
+			request = parseCombinedLine(line, options);
+			if (!request) {
+				return;
+			}
+		}
+
+		if (isNaN(request.time)) {
+			process.stderr.write("Skipping line " + lineNumber + ": invalid time\n");
+			return;
+		}
+
+		// Absolute URLs (CSV) are used as is, request paths (access logs) are resolved against the site
+		var landingUrl = /^[a-z][a-z0-9+.-]*:\/\//i.test(request.url) ? request.url : options.site + request.url;
+		var session = sessions.hasOwnProperty(request.visitor) ? sessions[request.visitor] : null;
+		if (session && request.time - session.lastTime > timeout) {
+			session = null;
+		}
+
+		var result = tsm.classify({
+			referrer: request.referrer,
+			landingUrl: landingUrl,
+			time: request.time,
+			previousState: session ? session.state : null
+		});
+		sessions[request.visitor] = {state: result, lastTime: request.time};
+
+		if (result.overwrite) {
+			writer.write({
+				visitor: request.visitor,
+				time: new Date(request.time).toISOString(),
+				landingPage: result.landingPath + (result.landingQuery ? "?" + result.landingQuery : ""),
+				medium: result.medium,
+				source: result.source,
+				keyword: result.keyword,
+				keywordGroup: result.keywordGroup,
+				campaign: result.campaign,
+				content: result.content
+			});
+		}
+	});
+
+	input.on("close", function() {
+		writer.end();
+	});
+}
+
+try {
+	main();
+} catch (e) {
+	process.stderr.write(e.message + "\n");
+	process.exit(1);
+}